@@ -1,4 +1,6 @@
 // Backend config (config/index.js)
+import 'dotenv/config';
+
 const environment = process.env.NODE_ENV || 'development';
 const configs = {
   development: {
@@ -11,4 +13,167 @@ const configs = {
   }
 };
 
-export default configs[environment];
\ No newline at end of file
+// TRUST_PROXY: 'true', a hop count, or addresses / subnets as Express accepts them
+function trustProxy(value) {
+  if (value === undefined || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Settings shared by every environment
+const shared = {
+  embedding: {
+    provider: process.env.EMBEDDING_PROVIDER || 'openai', // openai | local | hashing
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+    dimensions: process.env.EMBEDDING_DIMENSIONS ? Number(process.env.EMBEDDING_DIMENSIONS) : undefined,
+    baseURL: process.env.EMBEDDING_BASE_URL,
+    apiKey: process.env.EMBEDDING_API_KEY
+  },
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    collection: process.env.CACHE_COLLECTION || 'query_cache',
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 1000),
+    ttlSeconds: Number(process.env.CACHE_TTL_SECONDS || 7 * 24 * 3600)
+  },
+  // Chunked book passages for ask-text retrieval (see scripts/ingest_passages.js)
+  passages: {
+    collection: process.env.PASSAGES_COLLECTION || 'book_passages',
+    chunkWords: Number(process.env.PASSAGE_CHUNK_WORDS || 200),
+    overlapWords: Number(process.env.PASSAGE_OVERLAP_WORDS || 40),
+    topK: Number(process.env.PASSAGE_TOP_K || 8)
+  },
+  conversation: {
+    collection: process.env.CONVERSATION_COLLECTION || 'qa_sessions',
+    // Estimated tokens of earlier turns sent with each follow-up
+    maxHistoryTokens: Number(process.env.CONVERSATION_MAX_HISTORY_TOKENS || 2000),
+    // Messages kept per session; older ones are dropped as new turns are added
+    maxMessages: Number(process.env.CONVERSATION_MAX_MESSAGES || 200)
+  },
+  // Model migration: a shadow model fills `<field>_<suffix>` next to the primary field.
+  // readShadow lists the collections whose vector reads use the shadow field ('*' = all).
+  embeddingMigration: {
+    shadow: process.env.EMBEDDING_SHADOW_MODEL ? {
+      provider: process.env.EMBEDDING_SHADOW_PROVIDER || process.env.EMBEDDING_PROVIDER || 'openai',
+      model: process.env.EMBEDDING_SHADOW_MODEL,
+      dimensions: process.env.EMBEDDING_SHADOW_DIMENSIONS ? Number(process.env.EMBEDDING_SHADOW_DIMENSIONS) : undefined,
+      baseURL: process.env.EMBEDDING_SHADOW_BASE_URL || process.env.EMBEDDING_BASE_URL,
+      apiKey: process.env.EMBEDDING_SHADOW_API_KEY || process.env.EMBEDDING_API_KEY
+    } : null,
+    suffix: process.env.EMBEDDING_SHADOW_SUFFIX || 'v2',
+    readShadow: (process.env.EMBEDDING_READ_SHADOW || '').split(',').map(name => name.trim()).filter(Boolean)
+  },
+  // Change-stream worker that re-embeds edited documents (scripts/sync_embeddings.js)
+  embeddingSync: {
+    stateCollection: process.env.EMBEDDING_SYNC_STATE_COLLECTION || 'embedding_sync_state'
+  },
+  // Progress of scripts/backfill_embeddings.js, one document per collection/field/model
+  backfill: {
+    checkpointCollection: process.env.BACKFILL_CHECKPOINT_COLLECTION || 'embedding_backfill_checkpoints'
+  },
+  // Document write API: bulk uploads are embedded `embedBatchSize` rows per request
+  ingestion: {
+    maxBulkRows: Number(process.env.INGESTION_MAX_BULK_ROWS || 1000),
+    embedBatchSize: Number(process.env.INGESTION_EMBED_BATCH_SIZE || 50)
+  },
+  // One event per search / ask-text call. Raw query text is dropped after
+  // queryRetentionDays (0 = never stored); events expire after eventRetentionDays (0 = kept).
+  analytics: {
+    enabled: process.env.ANALYTICS_ENABLED !== 'false',
+    collection: process.env.ANALYTICS_COLLECTION || 'query_events',
+    queryRetentionDays: Number(process.env.ANALYTICS_QUERY_RETENTION_DAYS ?? 30),
+    eventRetentionDays: Number(process.env.ANALYTICS_EVENT_RETENTION_DAYS ?? 180),
+    purgeIntervalMinutes: Number(process.env.ANALYTICS_PURGE_INTERVAL_MINUTES || 60)
+  },
+  // Result feedback and the ranking signals scripts/aggregate_feedback.js derives from it.
+  // /api/search requests with `feedback: true` scale vector scores by at most ±maxBoost.
+  feedback: {
+    collection: process.env.FEEDBACK_COLLECTION || 'search_feedback',
+    signalsCollection: process.env.FEEDBACK_SIGNALS_COLLECTION || 'search_feedback_signals',
+    windowDays: Number(process.env.FEEDBACK_WINDOW_DAYS || 90),
+    halfLifeDays: Number(process.env.FEEDBACK_HALF_LIFE_DAYS || 30),
+    minQueryEvents: Number(process.env.FEEDBACK_MIN_QUERY_EVENTS || 3),
+    boost: {
+      popularityWeight: Number(process.env.FEEDBACK_POPULARITY_WEIGHT || 0.05),
+      queryWeight: Number(process.env.FEEDBACK_QUERY_WEIGHT || 0.1),
+      maxBoost: Number(process.env.FEEDBACK_MAX_BOOST || 0.1)
+    }
+  },
+  // API keys (scripts/create_api_key.js issues the first admin key). Routes whose scope
+  // is listed in openScopes also accept requests without a key.
+  apiKeys: {
+    collection: process.env.API_KEYS_COLLECTION || 'api_keys',
+    openScopes: (process.env.API_KEYS_OPEN_SCOPES ?? 'search,ask').split(',').map(scope => scope.trim()).filter(Boolean)
+  },
+  // Requests per client and window, in a cheap bucket (no GPT calls) and an expensive one
+  // (query rewriting, image description, answers). Clients are API keys or, without a
+  // key, IPs. Expensive routes also stop once the client's daily budget (0 = unlimited)
+  // is spent; budgets reset at 00:00 UTC. store: memory | mongodb (shared by instances).
+  rateLimits: {
+    enabled: process.env.RATE_LIMITS_ENABLED !== 'false',
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    collection: process.env.RATE_LIMIT_COLLECTION || 'rate_limits',
+    windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+    buckets: {
+      cheap: {
+        perKey: Number(process.env.RATE_LIMIT_CHEAP_PER_KEY || 300),
+        perIp: Number(process.env.RATE_LIMIT_CHEAP_PER_IP || 60)
+      },
+      expensive: {
+        perKey: Number(process.env.RATE_LIMIT_EXPENSIVE_PER_KEY || 30),
+        perIp: Number(process.env.RATE_LIMIT_EXPENSIVE_PER_IP || 5),
+        budgeted: true
+      }
+    },
+    dailyBudget: {
+      perKey: {
+        tokens: Number(process.env.DAILY_TOKEN_BUDGET_PER_KEY ?? 500000),
+        costUsd: Number(process.env.DAILY_COST_BUDGET_PER_KEY ?? 5)
+      },
+      perIp: {
+        tokens: Number(process.env.DAILY_TOKEN_BUDGET_PER_IP ?? 50000),
+        costUsd: Number(process.env.DAILY_COST_BUDGET_PER_IP ?? 0.5)
+      }
+    },
+    // Express `trust proxy`: set when behind a proxy so limits apply to the client's IP
+    // Vercel sets VERCEL and puts one proxy in front of the app
+    trustProxy: trustProxy(process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : undefined))
+  },
+  // User-supplied connection strings (Atlas tooling). Hosts must match the allowlists
+  // ('*.mongodb.net' matches subdomains; an empty list allows any public host).
+  connectionGuard: {
+    allowedHosts: (process.env.CONNECTION_ALLOWED_HOSTS ?? '*.mongodb.net').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    allowedSrvHosts: (process.env.CONNECTION_ALLOWED_SRV_HOSTS ?? '*.mongodb.net').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+    blockPrivateNetworks: process.env.CONNECTION_BLOCK_PRIVATE_NETWORKS !== 'false',
+    serverSelectionTimeoutMS: Number(process.env.CONNECTION_SERVER_SELECTION_TIMEOUT_MS || 5000),
+    connectTimeoutMS: Number(process.env.CONNECTION_CONNECT_TIMEOUT_MS || 5000),
+    socketTimeoutMS: Number(process.env.CONNECTION_SOCKET_TIMEOUT_MS || 20000)
+  },
+  // Saved Atlas connection profiles. CONNECTION_PROFILE_KEY (32 bytes, hex or base64)
+  // encrypts their connection strings; without it profiles are disabled. Each profile
+  // keeps one pooled client, closed after idleMinutes unused.
+  connectionProfiles: {
+    collection: process.env.CONNECTION_PROFILES_COLLECTION || 'atlas_connection_profiles',
+    encryptionKey: process.env.CONNECTION_PROFILE_KEY,
+    poolSize: Number(process.env.CONNECTION_PROFILE_POOL_SIZE || 5),
+    maxClients: Number(process.env.CONNECTION_PROFILE_MAX_CLIENTS || 20),
+    idleMinutes: Number(process.env.CONNECTION_PROFILE_IDLE_MINUTES || 10)
+  },
+  // Search index API: vector indexes are checked against sampleSize documents, and
+  // creates / updates wait up to readyTimeoutSeconds for the build
+  searchIndexes: {
+    sampleSize: Number(process.env.SEARCH_INDEX_SAMPLE_SIZE || 50),
+    readyTimeoutSeconds: Number(process.env.SEARCH_INDEX_READY_TIMEOUT_SECONDS || 120),
+    pollSeconds: Number(process.env.SEARCH_INDEX_POLL_SECONDS || 5)
+  },
+  // Paging bounds for the search endpoints; callers can tune within these
+  search: {
+    defaultPageSize: 10,
+    maxPageSize: Number(process.env.SEARCH_MAX_PAGE_SIZE || 50),
+    defaultNumCandidates: 100,
+    minNumCandidates: 10,
+    maxNumCandidates: Number(process.env.SEARCH_MAX_NUM_CANDIDATES || 1000),
+    maxResultWindow: Number(process.env.SEARCH_MAX_RESULT_WINDOW || 200)
+  }
+};
+
+export default { ...shared, ...configs[environment] };
@@ -0,0 +1,45 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import config from '../config/index.js';
+import { aggregateFeedback, ensureFeedbackIndexes } from '../src/feedback.js';
+
+dotenv.config();
+
+// Rebuild the popularity and query/document signals that /api/search blends in with
+// `feedback: true`. Run it on a schedule (e.g. hourly cron); each run replaces the last.
+//   node scripts/aggregate_feedback.js
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+
+async function run() {
+    try {
+        await client.connect();
+        console.log('Connected to MongoDB.');
+
+        const db = client.db(dbName);
+        const feedback = db.collection(config.feedback.collection);
+        const signals = db.collection(config.feedback.signalsCollection);
+        await ensureFeedbackIndexes(feedback, signals);
+
+        const { windowDays, halfLifeDays, minQueryEvents } = config.feedback;
+        const result = await aggregateFeedback(feedback, signals, { windowDays, halfLifeDays, minQueryEvents });
+        console.log(`Feedback signals rebuilt from the last ${windowDays} days: ${result.documents} documents, ${result.queryPairs} query/document pairs, ${result.removed} stale signals removed`);
+    } catch (error) {
+        console.error('Error during feedback aggregation:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+run().catch(console.error);
@@ -0,0 +1,108 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import config from '../config/index.js';
+import { createEmbeddingProvider, embeddingMetaField } from '../src/embeddings/index.js';
+import { resolveBackfillFields, runBackfill } from '../src/backfill.js';
+
+dotenv.config();
+
+// Embed (or re-embed) one vector field of a collection. Only documents whose vector is
+// missing, from another model, or built from different text are sent for embedding.
+// Interrupted runs resume from their checkpoint.
+//   node scripts/backfill_embeddings.js --collection products [options]
+//     --source title,description   fields concatenated into the embedded text
+//     --target description_embedding
+//     --provider openai --model text-embedding-3-small --dimensions 512
+//     --batch-size 100 --concurrency 2 --limit 1000
+//     --force      re-embed every document, stale or not
+//     --restart    ignore the saved checkpoint
+//     --dry-run    count documents and estimate tokens and cost, write nothing
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+const { values: options } = parseArgs({
+    options: {
+        collection: { type: 'string', default: 'products' },
+        source: { type: 'string' },
+        target: { type: 'string' },
+        provider: { type: 'string' },
+        model: { type: 'string' },
+        dimensions: { type: 'string' },
+        'batch-size': { type: 'string', default: '100' },
+        concurrency: { type: 'string', default: '2' },
+        limit: { type: 'string' },
+        force: { type: 'boolean', default: false },
+        restart: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false }
+    }
+});
+
+const embedder = createEmbeddingProvider({
+    ...config.embedding,
+    ...(options.provider && { provider: options.provider }),
+    ...(options.model && { model: options.model }),
+    ...(options.dimensions && { dimensions: Number(options.dimensions) })
+});
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+
+async function backfill() {
+    try {
+        const { path, fields } = resolveBackfillFields(options.collection, {
+            source: options.source?.split(',').map(field => field.trim()).filter(Boolean),
+            target: options.target
+        });
+
+        await client.connect();
+        console.log('Connected to MongoDB.');
+        console.log(`Embedding ${options.collection}.${path} from [${fields.join(', ')}] with ${embedder.name} (${embedder.model}, ${embedder.dimensions} dimensions)`);
+
+        const db = client.db(dbName);
+        const collection = db.collection(options.collection);
+
+        // Writing a second model into a field leaves a mix until the run finishes
+        const otherModels = await collection.distinct(`${embeddingMetaField(path)}.model`, {
+            [`${embeddingMetaField(path)}.model`]: { $ne: embedder.model }
+        });
+        if (otherModels.length > 0) {
+            console.warn(`Warning: ${path} holds vectors from ${otherModels.join(', ')}; queries against it fail the model check until every document is re-embedded.`);
+        }
+
+        const result = await runBackfill({
+            collection,
+            checkpoints: db.collection(config.backfill.checkpointCollection),
+            provider: embedder,
+            fields,
+            path,
+            batchSize: Number(options['batch-size']),
+            concurrency: Number(options.concurrency),
+            limit: options.limit ? Number(options.limit) : undefined,
+            force: options.force,
+            restart: options.restart,
+            dryRun: options['dry-run']
+        });
+
+        if (result.dryRun) {
+            const cost = result.estimatedCost === null ? 'unknown price for this model' : `~$${result.estimatedCost.toFixed(4)}`;
+            console.log(`Dry run: ${result.embedded} of ${result.scanned} documents would be embedded, ~${result.tokens} tokens (${cost}).`);
+        } else {
+            console.log('Backfill completed:', result);
+        }
+        if (result.failed > 0) process.exitCode = 1;
+    } catch (error) {
+        console.error('Error during backfill:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+backfill().catch(console.error);
@@ -0,0 +1,59 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import config from '../config/index.js';
+import { API_KEY_SCOPES, ensureApiKeyIndexes, issueApiKey } from '../src/apiKeys.js';
+
+dotenv.config();
+
+// Issue an API key straight into MongoDB, e.g. the first admin key (later keys can be
+// issued through /api/admin/api-keys). The key is printed once; only its hash is stored.
+//   node scripts/create_api_key.js --name ops --scopes admin [--expires-in-days 90]
+
+const { values: options } = parseArgs({
+    options: {
+        name: { type: 'string' },
+        scopes: { type: 'string' },
+        'expires-in-days': { type: 'string' }
+    }
+});
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+if (!options.name || !options.scopes) {
+    console.error(`Usage: node scripts/create_api_key.js --name <name> --scopes <${API_KEY_SCOPES.join('|')}>[,...] [--expires-in-days <days>]`);
+    process.exit(1);
+}
+
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+
+async function run() {
+    try {
+        await client.connect();
+
+        const collection = client.db(dbName).collection(config.apiKeys.collection);
+        await ensureApiKeyIndexes(collection);
+
+        const { key, apiKey } = await issueApiKey(collection, {
+            name: options.name,
+            scopes: options.scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+            expiresInDays: options['expires-in-days'] ? Number(options['expires-in-days']) : undefined
+        });
+        console.log(`Issued API key ${apiKey._id} (${apiKey.name}) with scopes: ${apiKey.scopes.join(', ')}`);
+        console.log(`Key (shown only once): ${key}`);
+    } catch (error) {
+        console.error('Error issuing API key:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+run().catch(console.error);
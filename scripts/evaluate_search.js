@@ -0,0 +1,94 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { EVALUATION_TARGETS, diffRuns, parseJudgments, runEvaluation } from '../src/evaluation.js';
+
+// Score every search type against a judgment set on a running server and save the run.
+//   node scripts/evaluate_search.js --judgments evaluation/judgments.json [options]
+//     --base-url http://localhost:3003   server to query
+//     --api-key <key>                    key with the search scope (default: $EVALUATION_API_KEY)
+//     --k 10                             cutoff for nDCG@k and recall@k (also the page size)
+//     --target products --type vector    restrict to endpoints / search types (comma-separated)
+//     --out evaluation/runs/<time>.json  where to save this run
+//     --baseline <run.json>              previous run to diff against
+//     --threshold 0.1                    nDCG change that lists a query in the diff
+
+const { values: options } = parseArgs({
+    options: {
+        judgments: { type: 'string' },
+        'base-url': { type: 'string', default: `http://localhost:${process.env.PORT || 3003}` },
+        'api-key': { type: 'string', default: process.env.EVALUATION_API_KEY },
+        k: { type: 'string', default: '10' },
+        target: { type: 'string' },
+        type: { type: 'string' },
+        out: { type: 'string' },
+        baseline: { type: 'string' },
+        threshold: { type: 'string', default: '0.1' }
+    }
+});
+
+const list = value => value?.split(',').map(item => item.trim()).filter(Boolean);
+// Metrics are null when every query of a search type failed
+const fixed = (value, digits = 3) => (value === null ? 'n/a' : value.toFixed(digits)).padStart(digits + 3);
+const signed = (value, digits = 3) => (value === null ? 'n/a' : `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`);
+
+function printRun(run) {
+    console.log(`\n${'search'.padEnd(20)} ${'nDCG@' + run.k}   MRR  recall  p50 ms  p95 ms  errors`);
+    for (const [key, { summary }] of Object.entries(run.results)) {
+        console.log(`${key.padEnd(20)} ${fixed(summary.ndcg)} ${fixed(summary.mrr)} ${fixed(summary.recall)} ${summary.latency.p50.toFixed(0).padStart(7)} ${summary.latency.p95.toFixed(0).padStart(7)} ${String(summary.errors).padStart(7)}`);
+    }
+}
+
+function printDiff(diff) {
+    console.log(`\nCompared with the run from ${diff.baseline}${diff.comparableK ? '' : ' (different k; deltas are not comparable)'}:`);
+    for (const [key, result] of Object.entries(diff.results)) {
+        if (result.added || result.removed) {
+            console.log(`  ${key}: ${result.added ? 'new in this run' : 'missing from this run'}`);
+            continue;
+        }
+        console.log(`  ${key}: nDCG ${signed(result.ndcg)}, MRR ${signed(result.mrr)}, recall ${signed(result.recall)}, p50 ${signed(result.latencyP50, 0)} ms, p95 ${signed(result.latencyP95, 0)} ms`);
+        for (const q of result.changedQueries) {
+            console.log(`      ${q.id}: ${q.before.toFixed(3)} -> ${q.after.toFixed(3)}`);
+        }
+    }
+}
+
+async function evaluate() {
+    try {
+        if (!options.judgments) {
+            throw new Error('Pass --judgments <file>');
+        }
+        const targets = list(options.target) || Object.keys(EVALUATION_TARGETS);
+        const unknown = targets.filter(target => !EVALUATION_TARGETS[target]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown target ${unknown.join(', ')}. Known: ${Object.keys(EVALUATION_TARGETS).join(', ')}`);
+        }
+
+        const judgments = parseJudgments(JSON.parse(await readFile(options.judgments, 'utf8')));
+        const baseline = options.baseline ? JSON.parse(await readFile(options.baseline, 'utf8')) : null;
+
+        const run = await runEvaluation({
+            judgments,
+            baseUrl: options['base-url'].replace(/\/$/, ''),
+            k: Number(options.k),
+            targets,
+            types: list(options.type),
+            headers: options['api-key'] ? { Authorization: `Bearer ${options['api-key']}` } : {}
+        });
+        printRun(run);
+
+        const out = options.out || path.join('evaluation', 'runs', `${run.createdAt.replace(/[:.]/g, '-')}.json`);
+        await mkdir(path.dirname(out), { recursive: true });
+        await writeFile(out, JSON.stringify(run, null, 2));
+        console.log(`\nSaved run to ${out}`);
+
+        if (baseline) {
+            printDiff(diffRuns(run, baseline, { threshold: Number(options.threshold) }));
+        }
+    } catch (error) {
+        console.error('Error during evaluation:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+evaluate().catch(console.error);
@@ -0,0 +1,81 @@
+import { MongoClient, ObjectId } from 'mongodb';
+import dotenv from 'dotenv';
+import config from '../config/index.js';
+import { createEmbeddingProvider, embedText } from '../src/embeddings/index.js';
+import { ensurePassageIndexes, ingestBookPassages, passageIndexOptions, validateChunking } from '../src/passages.js';
+import { ensureVectorIndex } from '../src/vectorSearch.js';
+
+dotenv.config();
+
+// Split every book into overlapping passages and embed them into the passages collection.
+// Safe to re-run: passages whose text is unchanged keep their existing embedding.
+//   node scripts/ingest_passages.js [bookId ...]
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+const chunking = { chunkWords: config.passages.chunkWords, overlapWords: config.passages.overlapWords };
+try {
+    validateChunking(chunking);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+const embedder = createEmbeddingProvider(config.embedding);
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+
+async function ingestPassages(bookIds) {
+    try {
+        await client.connect();
+        console.log('Connected to MongoDB.');
+        console.log(`Embedding with ${embedder.name} (${embedder.model}, ${embedder.dimensions} dimensions)`);
+
+        const db = client.db(dbName);
+        const books = db.collection('books');
+        const passages = db.collection(config.passages.collection);
+
+        await ensurePassageIndexes(passages);
+        const indexStatus = await ensureVectorIndex(passages, passageIndexOptions(embedder.dimensions));
+        console.log(`Passage vector index: ${indexStatus}`);
+
+        const filter = bookIds.length > 0
+            ? { _id: { $in: bookIds.map(id => ObjectId.createFromHexString(id)) } }
+            : {};
+
+        const totals = { books: 0, passages: 0, embedded: 0, reused: 0, failed: 0 };
+        for await (const book of books.find(filter)) {
+            try {
+                const result = await ingestBookPassages(passages, book, {
+                    embed: text => embedText(embedder, text),
+                    provider: embedder,
+                    chunking
+                });
+                console.log(`${book.title}: ${result.passages} passages (${result.embedded} embedded, ${result.reused} reused)`);
+                totals.books++;
+                totals.passages += result.passages;
+                totals.embedded += result.embedded;
+                totals.reused += result.reused;
+            } catch (error) {
+                totals.failed++;
+                console.error(`Failed to ingest passages for book ${book._id}:`, error.message);
+            }
+        }
+
+        console.log('Passage ingestion completed:', totals);
+    } catch (error) {
+        console.error('Error during passage ingestion:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+ingestPassages(process.argv.slice(2)).catch(console.error);
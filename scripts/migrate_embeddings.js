@@ -0,0 +1,280 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import config from '../config/index.js';
+import { runBackfill } from '../src/backfill.js';
+import { EMBEDDING_SOURCES } from '../src/embeddingSync.js';
+import { createEmbeddingProvider, embedText, embeddingMetaField } from '../src/embeddings/index.js';
+import { createEmbeddingMigration, shadowIndexName, shadowPath } from '../src/embeddings/migration.js';
+import { VECTOR_FILTER_PATHS } from '../src/filters.js';
+import { jaccard, overlapAtK } from '../src/rankMetrics.js';
+import {
+    DEFAULT_VECTOR_INDEX,
+    DEFAULT_VECTOR_PATH,
+    ensureVectorIndex,
+    vectorIndexDefinition,
+    vectorSearchPipeline
+} from '../src/vectorSearch.js';
+
+dotenv.config();
+
+// Zero-downtime switch of description_embedding to a new embedding model.
+// Configure the new model with EMBEDDING_SHADOW_MODEL (see README), then:
+//   node scripts/migrate_embeddings.js status
+//   node scripts/migrate_embeddings.js backfill [--collection products]   fill <field>_<suffix> and its index
+//   node scripts/migrate_embeddings.js compare [--collection products] [--queries file] [--k 10] [--sample 20]
+//   EMBEDDING_READ_SHADOW=products ...restart the server...                switch reads (unset to roll back)
+//   node scripts/migrate_embeddings.js promote [--collection products]     copy shadow vectors into the primary field
+//   ...set EMBEDDING_MODEL to the new model, unset the shadow settings, restart...
+//   node scripts/migrate_embeddings.js cleanup [--collection products]     drop the shadow field and index
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        collection: { type: 'string' },
+        suffix: { type: 'string' },
+        queries: { type: 'string' },
+        k: { type: 'string', default: '10' },
+        sample: { type: 'string', default: '20' },
+        'num-candidates': { type: 'string', default: '100' },
+        'batch-size': { type: 'string', default: '100' },
+        concurrency: { type: 'string', default: '2' }
+    }
+});
+const [command = 'status'] = positionals;
+
+const embedder = createEmbeddingProvider(config.embedding);
+const suffix = options.suffix || config.embeddingMigration.suffix;
+const migration = ['status', 'backfill', 'compare'].includes(command)
+    ? createEmbeddingMigration({ ...config.embeddingMigration, suffix }, embedder)
+    : null;
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+const collections = options.collection ? [options.collection] : Object.keys(VECTOR_FILTER_PATHS);
+
+const primaryPath = DEFAULT_VECTOR_PATH;
+const shadowField = shadowPath(primaryPath, suffix);
+const shadowIndex = shadowIndexName(DEFAULT_VECTOR_INDEX, suffix);
+
+function requireShadow() {
+    if (!migration?.shadow) {
+        throw new Error('No shadow model configured; set EMBEDDING_SHADOW_MODEL (and EMBEDDING_SHADOW_DIMENSIONS if needed)');
+    }
+}
+
+async function indexStatus(collection, name) {
+    const [index] = await collection.listSearchIndexes(name).toArray();
+    return index ? `${index.status}${index.queryable ? '' : ' (not queryable)'}` : 'missing';
+}
+
+async function modelCounts(collection, path) {
+    const groups = await collection.aggregate([
+        { $match: { [path]: { $exists: true } } },
+        { $group: { _id: `$${embeddingMetaField(path)}.model`, count: { $sum: 1 } } }
+    ]).toArray();
+    return Object.fromEntries(groups.map(group => [group._id || 'unknown', group.count]));
+}
+
+async function status(db) {
+    console.log(`Primary model: ${embedder.model} -> ${primaryPath}`);
+    console.log(migration.shadow
+        ? `Shadow model: ${migration.shadow.model} -> ${shadowField}`
+        : 'Shadow model: not configured');
+
+    for (const name of collections) {
+        const collection = db.collection(name);
+        console.log(`\n${name}`);
+        console.log(`  documents: ${await collection.countDocuments()}`);
+        console.log(`  ${primaryPath}: ${JSON.stringify(await modelCounts(collection, primaryPath))}, index ${DEFAULT_VECTOR_INDEX}: ${await indexStatus(collection, DEFAULT_VECTOR_INDEX)}`);
+        console.log(`  ${shadowField}: ${JSON.stringify(await modelCounts(collection, shadowField))}, index ${shadowIndex}: ${await indexStatus(collection, shadowIndex)}`);
+        console.log(`  reads: ${migration.readsShadow(name) ? shadowField : primaryPath}`);
+    }
+}
+
+async function backfill(db) {
+    requireShadow();
+    for (const name of collections) {
+        const collection = db.collection(name);
+        const indexResult = await ensureVectorIndex(collection, migration.shadowIndexOptions({ filterPaths: VECTOR_FILTER_PATHS[name] }));
+        console.log(`${name}: shadow index ${shadowIndex} ${indexResult}`);
+
+        const { fields } = EMBEDDING_SOURCES[name].find(source => source.path === primaryPath);
+        const result = await runBackfill({
+            collection,
+            checkpoints: db.collection(config.backfill.checkpointCollection),
+            provider: migration.shadow,
+            fields,
+            path: shadowField,
+            batchSize: Number(options['batch-size']),
+            concurrency: Number(options.concurrency)
+        });
+        console.log(`${name}: backfill`, result);
+    }
+    console.log('\nWait for the shadow indexes to be READY (see `status`) before comparing or switching reads.');
+}
+
+async function loadQueries(collection) {
+    if (options.queries) {
+        const text = await readFile(options.queries, 'utf8');
+        return text.trim().startsWith('[') ? JSON.parse(text) : text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+    // Without a query file, sampled titles stand in for real queries
+    const docs = await collection.aggregate([{ $sample: { size: Number(options.sample) } }, { $project: { title: 1 } }]).toArray();
+    return docs.map(doc => doc.title).filter(Boolean);
+}
+
+async function topIds(collection, provider, path, index, query, k) {
+    const started = performance.now();
+    const queryVector = await embedText(provider, query);
+    const results = await collection.aggregate([
+        ...vectorSearchPipeline({ queryVector, path, index, numCandidates: Number(options['num-candidates']), limit: k }),
+        { $project: { _id: 1 } }
+    ]).toArray();
+    return { ids: results.map(result => result._id), ms: performance.now() - started };
+}
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+// Run every query against both fields and report how many of the top k neighbours agree
+async function compare(db) {
+    requireShadow();
+    const k = Number(options.k);
+
+    for (const name of collections) {
+        const collection = db.collection(name);
+        const queries = await loadQueries(collection);
+        if (queries.length === 0) {
+            console.log(`${name}: no queries to compare`);
+            continue;
+        }
+
+        const rows = [];
+        for (const query of queries) {
+            const primary = await topIds(collection, embedder, primaryPath, DEFAULT_VECTOR_INDEX, query, k);
+            const shadow = await topIds(collection, migration.shadow, shadowField, shadowIndex, query, k);
+            rows.push({
+                query,
+                overlap: overlapAtK(primary.ids, shadow.ids, k),
+                jaccard: jaccard(primary.ids, shadow.ids),
+                primaryMs: primary.ms,
+                shadowMs: shadow.ms
+            });
+        }
+
+        console.log(`\n${name}: ${embedder.model} vs ${migration.shadow.model}, top ${k}, ${rows.length} queries`);
+        for (const row of [...rows].sort((a, b) => a.overlap - b.overlap)) {
+            console.log(`  overlap ${row.overlap.toFixed(2)}  jaccard ${row.jaccard.toFixed(2)}  ${row.query}`);
+        }
+        console.log(`  mean overlap@${k}: ${mean(rows.map(r => r.overlap)).toFixed(3)}, min ${Math.min(...rows.map(r => r.overlap)).toFixed(2)}`);
+        console.log(`  mean jaccard: ${mean(rows.map(r => r.jaccard)).toFixed(3)}`);
+        console.log(`  mean latency (embed + search): primary ${mean(rows.map(r => r.primaryMs)).toFixed(0)} ms, shadow ${mean(rows.map(r => r.shadowMs)).toFixed(0)} ms`);
+    }
+}
+
+// Copy shadow vectors over the primary ones and resize the primary index. Only
+// documents whose primary vector is from another model are copied, so running it
+// again after the config switch picks up documents written in between.
+async function copyShadowIntoPrimary(db) {
+    for (const name of collections) {
+        const collection = db.collection(name);
+        const primaryMeta = embeddingMetaField(primaryPath);
+        const shadowMeta = embeddingMetaField(shadowField);
+
+        const [sample] = await collection.find({ [shadowField]: { $exists: true } }, { projection: { [shadowMeta]: 1 } }).limit(1).toArray();
+        if (!sample) {
+            console.log(`${name}: no shadow vectors, skipping`);
+            continue;
+        }
+        const missing = await collection.countDocuments({ [primaryPath]: { $exists: true }, [shadowField]: { $exists: false } });
+        if (missing > 0) {
+            throw new Error(`${name}: ${missing} documents have no ${shadowField}; run backfill first`);
+        }
+
+        const { modifiedCount } = await collection.updateMany(
+            { [shadowField]: { $exists: true }, $expr: { $ne: [`$${primaryMeta}.model`, `$${shadowMeta}.model`] } },
+            [{ $set: { [primaryPath]: `$${shadowField}`, [primaryMeta]: `$${shadowMeta}` } }]
+        );
+        console.log(`${name}: copied ${modifiedCount} shadow vectors into ${primaryPath}`);
+
+        const { dimensions } = sample[shadowMeta];
+        const [primaryIndex] = await collection.listSearchIndexes(DEFAULT_VECTOR_INDEX).toArray();
+        const vectorField = primaryIndex?.latestDefinition?.fields?.find(field => field.type === 'vector');
+        if (vectorField && vectorField.numDimensions !== dimensions) {
+            const { definition } = vectorIndexDefinition({ dimensions, filterPaths: VECTOR_FILTER_PATHS[name] });
+            await collection.updateSearchIndex(DEFAULT_VECTOR_INDEX, definition);
+            console.log(`${name}: ${DEFAULT_VECTOR_INDEX} rebuilding with ${dimensions} dimensions`);
+        }
+    }
+}
+
+// Only collections already reading the shadow field can be promoted; their primary
+// field and index are unused until the config switch.
+async function promote(db) {
+    const { readShadow } = config.embeddingMigration;
+    const notSwitched = collections.filter(name => !readShadow.includes('*') && !readShadow.includes(name));
+    if (notSwitched.length > 0) {
+        throw new Error(`Switch reads to the shadow field first (EMBEDDING_READ_SHADOW): ${notSwitched.join(', ')}`);
+    }
+    await copyShadowIntoPrimary(db);
+    console.log('\nNext: set EMBEDDING_MODEL (and EMBEDDING_DIMENSIONS) to the shadow model, unset EMBEDDING_SHADOW_* and EMBEDDING_READ_SHADOW,');
+    console.log('wait for vector_index to be READY, restart, then run `cleanup`. Rolling back now means re-embedding with the old model.');
+}
+
+async function cleanup(db) {
+    if (config.embeddingMigration.shadow) {
+        throw new Error('EMBEDDING_SHADOW_MODEL is still set; finish the config switch before cleaning up');
+    }
+    for (const name of collections) {
+        const collection = db.collection(name);
+        const primaryMeta = embeddingMetaField(primaryPath);
+        const shadowMeta = embeddingMetaField(shadowField);
+
+        // Catch shadow vectors written between promote and the restart. Documents written
+        // since the switch only have a primary vector, already from the new model.
+        const { modifiedCount: copied } = await collection.updateMany(
+            { [shadowField]: { $exists: true }, [`${shadowMeta}.model`]: embedder.model, [`${primaryMeta}.model`]: { $ne: embedder.model } },
+            [{ $set: { [primaryPath]: `$${shadowField}`, [primaryMeta]: `$${shadowMeta}` } }]
+        );
+        console.log(`${name}: copied ${copied} late shadow vectors into ${primaryPath}`);
+
+        const { modifiedCount } = await collection.updateMany(
+            { [shadowField]: { $exists: true } },
+            { $unset: { [shadowField]: '', [embeddingMetaField(shadowField)]: '' } }
+        );
+        console.log(`${name}: removed ${shadowField} from ${modifiedCount} documents`);
+        if ((await collection.listSearchIndexes(shadowIndex).toArray()).length > 0) {
+            await collection.dropSearchIndex(shadowIndex);
+            console.log(`${name}: dropped ${shadowIndex}`);
+        }
+    }
+}
+
+const commands = { status, backfill, compare, promote, cleanup };
+
+async function migrate() {
+    try {
+        if (!commands[command]) {
+            throw new Error(`Unknown command "${command}". Commands: ${Object.keys(commands).join(', ')}`);
+        }
+        await client.connect();
+        console.log('Connected to MongoDB.');
+        await commands[command](client.db(dbName));
+    } catch (error) {
+        console.error('Error during migration:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+migrate().catch(console.error);
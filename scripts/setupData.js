@@ -1,15 +1,19 @@
 import { MongoClient } from 'mongodb';
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import config from '../config/index.js';
+import { createEmbeddingProvider, embedText, embeddingFields } from '../src/embeddings/index.js';
+import { DOCUMENT_TYPES, embeddingSourceText } from '../src/documents.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const embedder = createEmbeddingProvider(config.embedding);
 
 const client = new MongoClient(process.env.MONGODB_URI);
 
+// Seeds the sample products, replacing any product with the same title.
+// Pass --reset to delete every other product first.
+const reset = process.argv.includes('--reset');
+
 const sampleProducts = [
   // Coffee Makers & Equipment
   {
@@ -135,45 +139,47 @@ const sampleProducts = [
 ];
 
 async function generateEmbedding(text) {
-  const response = await openai.embeddings.create({
-    model: "text-embedding-3-small",
-    input: text
-  });
-  return response.data[0].embedding;
+  return embedText(embedder, text);
 }
 
 async function setupDatabase() {
   try {
     await client.connect();
     console.log("Connected to MongoDB");
+    console.log(`Embedding with ${embedder.name} (${embedder.model}, ${embedder.dimensions} dimensions)`);
     
     const db = client.db("product_search");
     const collection = db.collection("products");
 
-    // Clear existing data
-    await collection.deleteMany({});
-    console.log("Cleared existing products");
+    if (reset) {
+      await collection.deleteMany({});
+      console.log("Cleared existing products");
+    }
 
     console.log("Starting to process products...");
     let processed = 0;
     
     // Process and insert products
     for (const product of sampleProducts) {
-      const description_embedding = await generateEmbedding(
-        `${product.title} ${product.description}`
+      const text = embeddingSourceText(product, DOCUMENT_TYPES.product.sourceFields);
+      const description_embedding = await generateEmbedding(text);
+
+      await collection.replaceOne(
+        { title: product.title },
+        {
+          ...product,
+          searchableTitle: product.title,
+          ...embeddingFields("description_embedding", description_embedding, embedder, text)
+        },
+        { upsert: true }
       );
       
-      await collection.insertOne({
-        ...product,
-        description_embedding
-      });
-      
       processed++;
       console.log(`Processed ${processed}/${sampleProducts.length} products`);
     }
 
     console.log('Database setup complete!');
-    console.log(`Total products inserted: ${processed}`);
+    console.log(`Total products seeded: ${processed}`);
 
     // Verify the vector search index
     const indexes = await collection.listIndexes().toArray();
@@ -0,0 +1,86 @@
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+import config from '../config/index.js';
+import { createEmbeddingProvider, embedText } from '../src/embeddings/index.js';
+import { EMBEDDING_SOURCES, createEmbeddingSync } from '../src/embeddingSync.js';
+import { createEmbeddingMigration } from '../src/embeddings/migration.js';
+
+dotenv.config();
+
+// Long-running worker: re-embeds documents whose source fields are edited anywhere,
+// including directly in MongoDB. Requires a replica set (any Atlas cluster).
+//   node scripts/sync_embeddings.js [--reconcile] [collection ...]
+// --reconcile first scans the collections and re-embeds every stale document.
+
+const { MONGODB_URI } = process.env;
+
+if (!MONGODB_URI) {
+    console.error('Error: Missing MONGODB_URI in .env file.');
+    process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const reconcileFirst = args.includes('--reconcile');
+const collections = args.filter(arg => !arg.startsWith('--'));
+
+const unknown = collections.filter(name => !EMBEDDING_SOURCES[name]);
+if (unknown.length > 0) {
+    console.error(`Error: No embedding sources defined for ${unknown.join(', ')}. Known: ${Object.keys(EMBEDDING_SOURCES).join(', ')}`);
+    process.exit(1);
+}
+
+const embedder = createEmbeddingProvider(config.embedding);
+// During a model migration the shadow fields are kept current as well
+const migration = createEmbeddingMigration(config.embeddingMigration, embedder);
+const sources = Object.fromEntries(
+    Object.entries(EMBEDDING_SOURCES).map(([name, list]) => [name, migration.withShadowSources(list)])
+);
+const client = new MongoClient(MONGODB_URI);
+
+const dbName = 'product_search';
+
+async function runSync() {
+    let sync;
+    const shutdown = async signal => {
+        console.log(`${signal} received, stopping change streams...`);
+        await sync?.stop();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    try {
+        await client.connect();
+        console.log('Connected to MongoDB.');
+        console.log(`Embedding with ${embedder.name} (${embedder.model}, ${embedder.dimensions} dimensions)`);
+        if (migration.shadow) {
+            console.log(`Shadow fields (_${migration.suffix}) embedded with ${migration.shadow.name} (${migration.shadow.model})`);
+        }
+
+        const db = client.db(dbName);
+        sync = createEmbeddingSync({
+            db,
+            stateCollection: db.collection(config.embeddingSync.stateCollection),
+            embed: (text, provider) => embedText(provider, text),
+            provider: embedder,
+            sources,
+            ...(collections.length > 0 && { collections })
+        });
+
+        if (reconcileFirst) {
+            for (const name of collections.length > 0 ? collections : Object.keys(EMBEDDING_SOURCES)) {
+                console.log(`Reconciling ${name}:`, await sync.reconcile(name));
+            }
+        }
+
+        await sync.start();
+        console.log('Embedding sync stopped:', sync.stats());
+    } catch (error) {
+        console.error('Error during embedding sync:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+        console.log('MongoDB connection closed.');
+    }
+}
+
+runSync().catch(console.error);
@@ -6,11 +6,121 @@ import dotenv from 'dotenv';
 import multer from 'multer';
 import winston from 'winston';
 import config from './config/index.js';
+import {
+    buildBookSearchStage,
+    buildProductSearchPipeline,
+    buildProductSearchStage,
+    formatHighlights,
+    normalizeSearchScores,
+    productSearchIndexDefinition
+} from './src/atlasSearch.js';
+import { runHybridSearch } from './src/hybrid.js';
+import {
+    assertCompatibleVectors,
+    createEmbeddingProvider,
+    embeddingFields
+} from './src/embeddings/index.js';
+import { createCache, ensureCacheIndexes, hashText } from './src/cache.js';
+import { fromArray, fromFacet, paginatePipeline, parsePagination } from './src/pagination.js';
+import { openEventStream } from './src/sse.js';
+import { CITATION_INSTRUCTIONS, annotateCitations, buildCitationContext } from './src/citations.js';
+import {
+    appendTurn,
+    buildRewriteMessages,
+    createSession,
+    deleteSession,
+    ensureSessionIndexes,
+    estimateTokens,
+    getSession,
+    listSessions,
+    toChatMessages,
+    trimHistory
+} from './src/conversations.js';
+import { badRequest, notFound, validationError } from './src/errors.js';
+import { errorBody, errorHandler, requestId, routeNotFound, sendError, validateRequest } from './src/http.js';
+import {
+    DOCUMENT_TYPES,
+    bulkInsertDocuments,
+    deleteDocument,
+    detectBulkFormat,
+    insertDocument,
+    parseBulkRows,
+    parseDocumentId,
+    replaceDocument,
+    toPublicDocument
+} from './src/documents.js';
+import {
+    PASSAGE_VECTOR_PATH,
+    ensurePassageIndexes,
+    groupPassagesByBook,
+    ingestBookPassages,
+    passageIndexOptions,
+    passageSearchPipeline
+} from './src/passages.js';
+import { DEFAULT_VECTOR_PATH, ensureVectorIndex, vectorSearchPipeline } from './src/vectorSearch.js';
+import { createEmbeddingMigration } from './src/embeddings/migration.js';
+import { jaccard, rankBiasedOverlap } from './src/rankMetrics.js';
+import {
+    createQueryAnalytics,
+    ensureAnalyticsIndexes,
+    latencyByType,
+    parseReportQuery,
+    purgeExpiredQueryText,
+    slowestQueries,
+    topQueries,
+    zeroResultQueries
+} from './src/analytics.js';
+import { ensureFeedbackIndexes, feedbackBoostStages, recordFeedback } from './src/feedback.js';
+import { NO_EXPLAIN, createExplain, explainScores, isExplainRequested } from './src/explain.js';
+import { createApiKeyAuth, ensureApiKeyIndexes, issueApiKey, listApiKeys, revokeApiKey, rotateApiKey } from './src/apiKeys.js';
+import { NO_USAGE, createMemoryStore, createMongoStore, createRateLimiter, ensureRateLimitIndexes } from './src/rateLimits.js';
+import { createConnectionGuard, redactConnectionString } from './src/connectionGuard.js';
+import { createProfileStore, ensureProfileIndexes, parseEncryptionKey } from './src/connectionProfiles.js';
+import { createSearchIndexManager } from './src/searchIndexes.js';
+import {
+    ANALYZE_VECTORS_BODY,
+    ANCIENT_TEXT_SEARCH_BODY,
+    ANCIENT_TEXT_SEARCH_TYPES,
+    API_KEY_BODY,
+    ASK_BODY,
+    ATLAS_CONNECTION_BODY,
+    BOOK_SEARCH_BODY,
+    BOOK_SEARCH_TYPES,
+    BULK_QUERY,
+    CLASSIFY_BODY,
+    COMPARE_BODY,
+    CONNECTION_PROFILE_BODY,
+    DOCUMENT_BODIES,
+    FEEDBACK_BODY,
+    GENERATE_CODE_BODY,
+    ID_PARAMS,
+    PRODUCT_SEARCH_TYPES,
+    PROFILE_SEARCH_INDEX_TARGET,
+    RECOMMENDATION_QUERY,
+    REPORT_QUERY,
+    ROTATE_API_KEY_BODY,
+    SEARCH_BODY,
+    SEARCH_INDEX_BODY,
+    SEARCH_INDEX_NAME_PARAMS,
+    SEARCH_INDEX_TARGET,
+    SESSION_BODY,
+    UPDATE_SEARCH_INDEX_BODY
+} from './src/requestSchemas.js';
+import { EMBEDDING_SOURCES, syncDocumentEmbeddings } from './src/embeddingSync.js';
+import {
+    BOOK_FILTER_PATHS,
+    PRODUCT_FILTER_PATHS,
+    VECTOR_FILTER_PATHS,
+    parseBookFilters,
+    parseProductFilters,
+    withFilter
+} from './src/filters.js';
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+app.use(requestId);
+app.set('trust proxy', config.rateLimits.trustProxy);
 const allowedOrigins = [
     'https://vector-search-demo-frontend.vercel.app',
     'http://localhost:5173',
@@ -23,8 +133,9 @@ app.use((req, res, next) => {
     if (allowedOrigins.includes(origin)) {
         res.setHeader('Access-Control-Allow-Origin', origin);
         res.setHeader('Access-Control-Allow-Credentials', 'true');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, X-API-Key, X-Request-Id, X-Session-Token');
+        res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset');
     }
 
     if (req.method === 'OPTIONS') {
@@ -40,9 +151,12 @@ app.use((req, res, next) => {
         method: req.method,
         path: req.path,
         origin: req.headers.origin,
+        requestId: res.locals.requestId,
     });
     next();
 });
+// Parsed after the CORS headers are set, so malformed JSON still gets a readable 400
+app.use(express.json());
 
 const logger = winston.createLogger({
     level: 'info',
@@ -69,113 +183,380 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY
 });
 
+const embedder = createEmbeddingProvider(config.embedding);
+logger.info(`Embedding provider: ${embedder.name} (${embedder.model}, ${embedder.dimensions} dimensions)`);
+
+// Model migration in progress: writes also fill the shadow field, and the collections
+// listed in EMBEDDING_READ_SHADOW search it instead of the primary field
+const migration = createEmbeddingMigration(config.embeddingMigration, embedder);
+if (migration.shadow) {
+    const reads = Object.keys(VECTOR_FILTER_PATHS).filter(migration.readsShadow);
+    logger.info(`Shadow embedding model: ${migration.shadow.model} (_${migration.suffix}); reading shadow for: ${reads.join(', ') || 'none'}`);
+}
+
 const client = new MongoClient(process.env.MONGODB_URI);
 const dbName = "product_search";
 const collectionName = "products";
 const books = "ancient_texts"
 
-// Book-related endpoints
-app.get('/api/books/:id', async (req, res) => {
-    try {
-        const collection = client.db(dbName).collection("books");
-        const book = await collection.findOne(
-            { _id: new ObjectId(req.params.id) },
+// Embeddings and GPT query rewrites are cached in memory and in MongoDB
+const cacheCollection = () => client.db(dbName).collection(config.cache.collection);
+const embeddingCache = createCache({ namespace: 'embedding', getCollection: cacheCollection, ...config.cache });
+const enhancementCache = createCache({ namespace: 'query_enhancement', getCollection: cacheCollection, ...config.cache });
+const imageDescriptionCache = createCache({ namespace: 'image_description', getCollection: cacheCollection, ...config.cache });
+
+// Every search and ask-text call is recorded for the /api/analytics reports
+const analyticsCollection = () => client.db(dbName).collection(config.analytics.collection);
+const queryAnalytics = createQueryAnalytics({ getCollection: analyticsCollection, ...config.analytics });
+
+// Every route but /api/health names the scope its API key needs (see src/apiKeys.js)
+const apiKeysCollection = () => client.db(dbName).collection(config.apiKeys.collection);
+const { requireScope } = createApiKeyAuth({ getCollection: apiKeysCollection, openScopes: config.apiKeys.openScopes });
+
+// Routes calling GPT go in the expensive bucket, the rest in the cheap one. Each limited
+// request meters its OpenAI usage in res.locals.usage. Admin routes are not limited.
+const rateLimitsCollection = () => client.db(dbName).collection(config.rateLimits.collection);
+const { limit: rateLimit } = createRateLimiter({
+    ...config.rateLimits,
+    store: config.rateLimits.store === 'mongodb' ? createMongoStore(rateLimitsCollection) : createMemoryStore()
+});
+// Search types that call GPT before searching
+const EXPENSIVE_SEARCH_TYPES = ['semantic', 'image'];
+const searchBucket = req => (EXPENSIVE_SEARCH_TYPES.includes(req.body?.type) ? 'expensive' : 'cheap');
+
+// Question answering over the books collection
+
+const ASK_SYSTEM_PROMPT = `You are an expert on ancient texts and history. ${CITATION_INSTRUCTIONS}`;
+
+const passagesCollection = () => client.db(dbName).collection(config.passages.collection);
+
+// Get relevant context from vector search: the top passages, grouped under their
+// parent books. Falls back to whole-book retrieval until passages have been ingested.
+async function retrieveBookContext(collection, question, usage = NO_USAGE) {
+    const passages = passagesCollection();
+    const passageEmbedding = await generateQueryEmbedding(passages, question, PASSAGE_VECTOR_PATH, NO_EXPLAIN, usage);
+    const passageHits = await passages.aggregate(
+        passageSearchPipeline(passageEmbedding, { limit: config.passages.topK })
+    ).toArray();
+
+    if (passageHits.length > 0) {
+        const parents = await collection.find(
+            { _id: { $in: [...new Set(passageHits.map(p => String(p.bookId)))].map(id => new ObjectId(id)) } },
+            { projection: { title: 1, summary: 1, author: 1, period: 1 } }
+        ).toArray();
+        return groupPassagesByBook(passageHits, new Map(parents.map(book => [String(book._id), book])));
+    }
+
+    console.log('No passage matches, falling back to whole-book retrieval');
+    const questionEmbedding = await generateQueryEmbedding(collection, question, DEFAULT_VECTOR_PATH, NO_EXPLAIN, usage);
+    const { path, index } = migration.readTarget(collection.collectionName);
+    return collection.aggregate([
+        {
+            $vectorSearch: {
+                index,
+                queryVector: questionEmbedding,
+                path,
+                numCandidates: 150,
+                limit: 5
+            }
+        },
+        {
+            $project: {
+                title: 1,
+                summary: 1,
+                contents: 1,
+                significance: 1,
+                score: { $meta: "vectorSearchScore" }
+            }
+        }
+    ]).toArray();
+}
+
+// Chat completion parameters for answering `question` from the retrieved books,
+// plus the numbered passages the answer's citation markers refer to.
+// `history` holds earlier turns of the conversation, already trimmed to the token cap.
+function buildAskPrompt(searchResults, question, history = []) {
+    const { context, passages } = buildCitationContext(searchResults);
+
+    const params = {
+        model: "gpt-4",
+        messages: [
             {
-                projection: {
-                    title: 1,
-                    author: 1,
-                    summary: 1,
-                    period: 1,
-                    date: 1,
-                    contents: 1,
-                    significance: 1,
-                    keywords: 1,
-                    references: 1
-                }
+                role: "system",
+                content: ASK_SYSTEM_PROMPT
+            },
+            ...toChatMessages(history),
+            {
+                role: "user",
+                content: `Context: ${context}\n\nQuestion: ${question}`
             }
-        );
+        ],
+        max_tokens: 1000,
+        temperature: 0.7
+    };
+    return { params, passages };
+}
 
-        if (!book) {
-            return res.status(404).json({ error: 'Book not found' });
-        }
+const toBookSummary = r => ({
+    _id: r._id,
+    title: r.title,
+    summary: r.summary,
+    ...(r.passages && { score: r.score, passages: r.passages })
+});
 
-        res.json(book);
+const sessionsCollection = () => client.db(dbName).collection(config.conversation.collection);
+
+// The caller a session belongs to: its API key, or the X-Session-Token of a keyless session
+const sessionOwner = (req, res) => ({ apiKeyId: res.locals.apiKey?._id, token: req.get('X-Session-Token') });
+
+// Load the session a question belongs to (if any) and its token-capped history
+async function loadConversation(sessionId, owner) {
+    if (!sessionId) {
+        return { session: null, history: [] };
+    }
+    const session = await getSession(sessionsCollection(), sessionId, owner);
+    if (!session) {
+        throw notFound('Session not found');
+    }
+    return { session, history: trimHistory(session.messages, config.conversation.maxHistoryTokens) };
+}
+
+// Turn a follow-up like "and who wrote it?" into a question vector search can use
+async function rewriteFollowUpQuestion(history, question, usage = NO_USAGE) {
+    if (history.length === 0) {
+        return question;
+    }
+    try {
+        const model = "gpt-4o-mini";
+        const completion = await openai.chat.completions.create({
+            model,
+            messages: buildRewriteMessages(history, question),
+            max_tokens: 100,
+            temperature: 0
+        });
+        usage.chat(model, completion.usage);
+        return completion.choices[0].message.content.trim() || question;
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch book details' });
+        console.error('Error rewriting follow-up question:', error);
+        return question; // Fall back to the raw question
     }
-});
+}
+
+async function recordTurn(session, question, standaloneQuestion, answer, grounding, searchResults) {
+    if (!session) return;
+    await appendTurn(sessionsCollection(), session,
+        { content: question, standaloneQuestion },
+        {
+            content: answer,
+            citations: grounding.citations,
+            books: searchResults.map(r => r._id)
+        },
+        { maxMessages: config.conversation.maxMessages }
+    );
+}
+
 // Updated ask-text endpoint
 // Update the QA endpoint with the correct vector search syntax
-app.post('/api/ask-text', async (req, res) => {
+// Pass `sessionId` to ask a follow-up inside a conversation session
+app.post('/api/ask-text', requireScope('ask'), rateLimit('expensive'), queryAnalytics.track, validateRequest({ body: ASK_BODY }), async (req, res) => {
     try {
-        const { question } = req.body;
+        const { question, sessionId } = req.body;
         const collection = client.db(dbName).collection("books");
 
-        // Get relevant context from vector search
-        const questionEmbedding = await generateEmbedding(question);
-        const searchResults = await collection.aggregate([
-            {
-                $vectorSearch: {
-                    index: "vector_index", // Add the index name
-                    queryVector: questionEmbedding,
-                    path: "description_embedding",
-                    numCandidates: 150,
-                    limit: 5
-                }
-            },
-            {
-                $project: {
-                    title: 1,
-                    summary: 1,
-                    contents: 1,
-                    significance: 1,
-                    score: { $meta: "vectorSearchScore" }
-                }
-            }
-        ]).toArray();
+        const { session, history } = await loadConversation(sessionId, sessionOwner(req, res));
+        const standaloneQuestion = await rewriteFollowUpQuestion(history, question, res.locals.usage);
+        if (standaloneQuestion !== question) {
+            console.log('Rewrote follow-up question:', standaloneQuestion);
+        }
 
-        // Combine context for GPT
-        const context = searchResults.map(r =>
-            `${r.title}\n${r.summary}\n${r.contents || ''}\n${r.significance || ''}`
-        ).join('\n\n');
+        const searchResults = await retrieveBookContext(collection, standaloneQuestion, res.locals.usage);
+        const { params, passages } = buildAskPrompt(searchResults, question, history);
 
         // Generate answer
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are an expert on ancient texts and history.`
-                },
-                {
-                    role: "user",
-                    content: `Context: ${context}\n\nQuestion: ${question}`
-                }
-            ],
-            max_tokens: 1000,
-            temperature: 0.7
-        });
+        const completion = await openai.chat.completions.create(params);
+        res.locals.usage.chat(params.model, completion.usage);
+        const { answer, ...grounding } = annotateCitations(completion.choices[0].message.content, passages);
+        if (grounding.removedMarkers.length > 0) {
+            console.warn('Removed citation markers with no matching passage:', grounding.removedMarkers);
+        }
+        await recordTurn(session, question, standaloneQuestion, answer, grounding, searchResults);
 
         res.json({
-            answer: completion.choices[0].message.content,
-            books: searchResults.map(r => ({
-                _id: r._id,
-                title: r.title,
-                summary: r.summary
-            }))
+            answer,
+            books: searchResults.map(toBookSummary),
+            ...grounding,
+            ...(session && { sessionId: session._id, standaloneQuestion })
         });
     } catch (error) {
         console.error('QA error:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        sendError(res, error, 'Failed to answer question');
+    }
+});
+
+// Streaming variant of ask-text (Server-Sent Events). Event order:
+//   books  -> { books }            retrieved context, sent before generation starts
+//   token  -> { text }             raw answer fragments as they arrive
+//   done   -> { answer, citations, claims, uncitedClaims, removedMarkers, usage, timing }
+//             the final answer with invalid citation markers removed, usage and timings in ms
+//   error  -> { error, code, details, requestId }   sent instead of `done` if anything fails
+app.post('/api/ask-text/stream', requireScope('ask'), rateLimit('expensive'), queryAnalytics.track, validateRequest({ body: ASK_BODY }), async (req, res) => {
+    const startTime = performance.now();
+    const { question, sessionId } = req.body;
+
+    // Resolve the session before switching to SSE so a bad id still gets a plain 4xx
+    let conversation;
+    try {
+        conversation = await loadConversation(sessionId, sessionOwner(req, res));
+    } catch (error) {
+        return sendError(res, error, 'Failed to load session');
+    }
+    const { session, history } = conversation;
+
+    const stream = openEventStream(res);
+    const abortController = new AbortController();
+
+    // Client went away before we finished: stop paying for tokens nobody will read
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('QA stream client disconnected, aborting completion');
+            abortController.abort();
+        }
+    });
+
+    // Completion state, kept outside the try so an aborted stream is still charged
+    let params;
+    let usage;
+    let fullAnswer = '';
+    try {
+        const collection = client.db(dbName).collection("books");
+        const standaloneQuestion = await rewriteFollowUpQuestion(history, question, res.locals.usage);
+        const searchResults = await retrieveBookContext(collection, standaloneQuestion, res.locals.usage);
+        const retrievalTime = performance.now() - startTime;
+        // Sent as events rather than JSON, so hand the retrieved books to the analytics recorder
+        res.locals.analytics = { results: searchResults };
+
+        if (abortController.signal.aborted) {
+            return;
+        }
+        stream.send('books', {
+            books: searchResults.map(toBookSummary),
+            ...(session && { sessionId: session._id, standaloneQuestion })
+        });
+
+        const prompt = buildAskPrompt(searchResults, question, history);
+        const { passages } = prompt;
+        params = prompt.params;
+        const completion = await openai.chat.completions.create({
+            ...params,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal: abortController.signal });
+
+        let firstTokenTime;
+        for await (const chunk of completion) {
+            const text = chunk.choices[0]?.delta?.content;
+            if (text) {
+                firstTokenTime ??= performance.now();
+                fullAnswer += text;
+                stream.send('token', { text });
+            }
+            if (chunk.usage) {
+                usage = chunk.usage;
+            }
+        }
+
+        // Markers can only be checked once the whole answer is in
+        const grounding = annotateCitations(fullAnswer, passages);
+        const { answer, ...citationDetails } = grounding;
+        await recordTurn(session, question, standaloneQuestion, answer, citationDetails, searchResults);
+        const totalTime = performance.now() - startTime;
+        stream.send('done', {
+            ...grounding,
+            usage,
+            timing: {
+                retrieval: retrievalTime.toFixed(2),
+                firstToken: firstTokenTime ? (firstTokenTime - startTime).toFixed(2) : undefined,
+                total: totalTime.toFixed(2)
+            }
         });
+        stream.close();
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('QA stream aborted');
+            return;
+        }
+        console.error('QA stream error:', error);
+        res.locals.analytics = { error: error.message };
+        stream.send('error', errorBody(error, res, 'Failed to answer question'));
+        stream.close();
+    } finally {
+        // The final chunk carries the usage; without it (client aborted), estimate from the text
+        if (params) {
+            res.locals.usage.chat(params.model, usage ?? {
+                prompt_tokens: estimateTokens(params.messages.map(m => m.content).join('\n')),
+                completion_tokens: estimateTokens(fullAnswer)
+            });
+        }
+    }
+});
+
+// Conversation sessions for multi-turn ask-text
+app.post('/api/ask-text/sessions', requireScope('ask'), rateLimit('cheap'), validateRequest({ body: SESSION_BODY }), async (req, res) => {
+    try {
+        const session = await createSession(sessionsCollection(), { title: req.body.title }, sessionOwner(req, res));
+        res.status(201).json(session);
+    } catch (error) {
+        console.error('Error creating session:', error);
+        sendError(res, error, 'Failed to create session');
     }
 });
 
-app.get('/api/books/recommendations', async (req, res) => {
+app.get('/api/ask-text/sessions', requireScope('ask'), rateLimit('cheap'), async (req, res) => {
+    try {
+        const sessions = await listSessions(sessionsCollection(), sessionOwner(req, res));
+        res.json(sessions);
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        sendError(res, error, 'Failed to list sessions');
+    }
+});
+
+app.get('/api/ask-text/sessions/:id', requireScope('ask'), rateLimit('cheap'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const session = await getSession(sessionsCollection(), req.params.id, sessionOwner(req, res));
+        if (!session) {
+            throw notFound('Session not found');
+        }
+        res.json(session);
+    } catch (error) {
+        console.error('Error fetching session:', error);
+        sendError(res, error, 'Failed to fetch session');
+    }
+});
+
+app.delete('/api/ask-text/sessions/:id', requireScope('ask'), rateLimit('cheap'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const deleted = await deleteSession(sessionsCollection(), req.params.id, sessionOwner(req, res));
+        if (!deleted) {
+            throw notFound('Session not found');
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting session:', error);
+        sendError(res, error, 'Failed to delete session');
+    }
+});
+
+app.get('/api/books/recommendations', requireScope('search'), rateLimit('cheap'), validateRequest({ query: RECOMMENDATION_QUERY }), async (req, res) => {
     try {
         const { topic, period, keywords } = req.query;
+        if (!topic && !period && !keywords) {
+            throw validationError(['topic', 'period', 'keywords'].map(field => ({
+                field,
+                location: 'query',
+                message: 'pass at least one of topic, period or keywords'
+            })));
+        }
         const collection = client.db(dbName).collection('books');
 
         const pipeline = [
@@ -225,7 +606,7 @@ app.get('/api/books/recommendations', async (req, res) => {
         res.json(recommendations);
     } catch (error) {
         console.error('Error getting recommendations:', error);
-        res.status(500).json({ error: 'Failed to get recommendations' });
+        sendError(res, error, 'Failed to get recommendations');
     }
 });
 
@@ -246,7 +627,7 @@ async function updateDocumentsWithSearchableTitle() {
     console.log('Updated all documents with searchableTitle field');
 }
 
-app.get('/api/books', async (req, res) => {
+app.get('/api/books', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection('books');
 
@@ -264,186 +645,521 @@ app.get('/api/books', async (req, res) => {
         res.json(books);
     } catch (error) {
         console.error('Error fetching books:', error);
-        res.status(500).json({ error: 'Failed to fetch books' });
+        sendError(res, error, 'Failed to fetch books');
     }
 });
-// Search endpoint with multiple search types
-app.post('/api/search', upload.single('image'), async (req, res) => {
-    console.log('Search request received:', req.body);
-
-    const startTime = performance.now();
+// Document write endpoints. Every write embeds the document with the configured
+// provider; book writes also refresh the book's passages for ask-text.
+//   POST   /api/{products|books}        create
+//   PUT    /api/{products|books}/:id    replace (re-embeds only if the embedded text changed)
+//   DELETE /api/{products|books}/:id
+//   POST   /api/{products|books}/bulk   NDJSON or CSV upload, one result per row
+
+const BULK_BODY_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson', 'application/jsonl', 'text/plain'];
+
+// Passage ingestion failures are logged, not surfaced: the document itself was
+// written and `npm run ingest-passages` can catch the passages up later.
+async function syncBookPassages(book) {
     try {
-        const searchType = req.body.type;
-        console.log('Starting search process for type:', searchType);
+        return await ingestBookPassages(passagesCollection(), book, {
+            embed: generateEmbedding,
+            provider: embedder,
+            chunking: { chunkWords: config.passages.chunkWords, overlapWords: config.passages.overlapWords }
+        });
+    } catch (error) {
+        logger.warn(`Passage ingestion failed for book ${book._id}: ${error.message}`);
+        return { error: 'Passage ingestion failed' };
+    }
+}
 
-        const collection = client.db(dbName).collection(collectionName);
-        let results = [];
+function registerDocumentRoutes(resource, kind, collectionFor) {
+    const { label } = DOCUMENT_TYPES[kind];
+    const isBook = kind === 'book';
 
-        switch (searchType) {
-            case 'basic': {
-                console.log('Performing basic search with query:', req.body.query);
-                const query = req.body.query;
-                results = await collection.find({
-                    $or: [
-                        { title: { $regex: query, $options: 'i' } },
-                        { description: { $regex: query, $options: 'i' } },
-                        { category: { $regex: query, $options: 'i' } }
-                    ]
-                }).limit(10).toArray();
-                console.log('Basic search results:', results.length, 'matches found');
-                break;
-            }
+    app.post(`/api/${resource}`, requireScope('admin'), validateRequest({ body: DOCUMENT_BODIES[kind] }), async (req, res) => {
+        try {
+            const doc = await insertDocument(collectionFor(), kind, req.body, { embed: generateEmbedding, provider: embedder });
+            await syncShadowEmbeddings(collectionFor(), doc);
+            const passages = isBook ? await syncBookPassages(doc) : undefined;
+            res.status(201).json({ ...toPublicDocument(kind, doc), ...(passages && { passages }) });
+        } catch (error) {
+            console.error(`Error creating ${kind}:`, error);
+            sendError(res, error, `Failed to create ${kind}`);
+        }
+    });
 
-            case 'atlas': {
-                console.log('Performing Atlas Search');
-                const pipeline = [
-                    // Define the Atlas Search pipeline here
-                ];
-                console.log('Atlas Search pipeline:', JSON.stringify(pipeline, null, 2));
-                results = await collection.aggregate(pipeline).toArray();
-                console.log('Atlas search results:', results.length, 'matches found');
-                break;
+    app.post(`/api/${resource}/bulk`, requireScope('admin'), upload.single('file'), express.text({ type: BULK_BODY_TYPES, limit: '5mb' }), validateRequest({ query: BULK_QUERY }), async (req, res) => {
+        try {
+            const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+            if (!text.trim()) {
+                throw badRequest('Upload a CSV or NDJSON file as "file" or send it as the request body');
             }
 
-            case 'vector': {
-                console.log('Performing vector search with query:', req.body.query);
-                const embedding = await generateEmbedding(req.body.query);
-                console.log('Generated embedding:', embedding);
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index",
-                        }
-                    },
-                    { $addFields: { score: { $meta: "vectorSearchScore" } } }
-                ]).toArray();
-                console.log('Vector search results:', results.length, 'matches found');
-                break;
+            const format = detectBulkFormat({
+                format: req.query.format || req.body?.format,
+                filename: req.file?.originalname,
+                contentType: req.file?.mimetype || req.headers['content-type']
+            });
+            if (!format) {
+                throw badRequest('Could not tell the upload format; pass format=ndjson or format=csv', { field: 'format' });
             }
 
-            case 'semantic': {
-                console.log('Enhancing query for semantic search:', req.body.query);
-                const enhancedQuery = await enhanceQueryWithGPT(req.body.query);
-                const embedding = await generateEmbedding(enhancedQuery);
-                console.log('Enhanced query embedding:', embedding);
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index",
-                        }
-                    },
-                    { $addFields: { score: { $meta: "vectorSearchScore" } } }
-                ]).toArray();
-                console.log('Semantic search results:', results.length, 'matches found');
-                break;
+            const rows = parseBulkRows(text, format);
+            if (rows.length > config.ingestion.maxBulkRows) {
+                throw badRequest(`Bulk uploads are limited to ${config.ingestion.maxBulkRows} rows`, { rows: rows.length });
             }
 
-            case 'image': {
-                console.log('Processing image for search');
-                if (!req.file) {
-                    throw new Error('No image file provided');
+            const results = await bulkInsertDocuments(collectionFor(), kind, rows, {
+                embedBatch: async texts => (await embedder.embed(texts)).vectors,
+                provider: embedder,
+                batchSize: config.ingestion.embedBatchSize,
+                coerce: format === 'csv'
+            });
+
+            for (const result of results.filter(r => r.status === 'inserted')) {
+                await syncShadowEmbeddings(collectionFor(), { _id: result._id, ...result.document });
+                if (isBook) {
+                    result.passages = await syncBookPassages({ _id: result._id, ...result.document });
                 }
-                const imageDescription = await processImage(req.file.buffer);
-                console.log('Generated image description:', imageDescription);
-                const embedding = await generateEmbedding(imageDescription);
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index",
-                        }
-                    },
-                    { $addFields: { score: { $meta: "vectorSearchScore" } } }
-                ]).toArray();
-                console.log('Image search results:', results.length, 'matches found');
-                break;
             }
 
-            default:
-                throw new Error('Invalid search type');
+            const inserted = results.filter(r => r.status === 'inserted').length;
+            res.json({
+                format,
+                total: results.length,
+                inserted,
+                failed: results.length - inserted,
+                results: results.map(({ document, ...result }) => result)
+            });
+        } catch (error) {
+            console.error(`Error during bulk ${kind} upload:`, error);
+            sendError(res, error, `Bulk ${kind} upload failed`);
+        }
+    });
+
+    app.put(`/api/${resource}/:id`, requireScope('admin'), validateRequest({ params: ID_PARAMS, body: DOCUMENT_BODIES[kind] }), async (req, res) => {
+        try {
+            const { document, reembedded } = await replaceDocument(collectionFor(), kind, req.params.id, req.body, {
+                embed: generateEmbedding,
+                provider: embedder
+            });
+            await syncShadowEmbeddings(collectionFor(), document);
+            const passages = isBook ? await syncBookPassages(document) : undefined;
+            res.json({ ...toPublicDocument(kind, document), reembedded, ...(passages && { passages }) });
+        } catch (error) {
+            console.error(`Error updating ${kind}:`, error);
+            sendError(res, error, `Failed to update ${kind}`);
         }
+    });
+
+    app.delete(`/api/${resource}/:id`, requireScope('admin'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+        try {
+            const deleted = await deleteDocument(collectionFor(), req.params.id);
+            if (!deleted) {
+                throw notFound(`${label} not found`);
+            }
+            if (isBook) {
+                await passagesCollection().deleteMany({ bookId: parseDocumentId(req.params.id) });
+            }
+            res.status(204).end();
+        } catch (error) {
+            console.error(`Error deleting ${kind}:`, error);
+            sendError(res, error, `Failed to delete ${kind}`);
+        }
+    });
+}
+
+registerDocumentRoutes('products', 'product', () => client.db(dbName).collection(collectionName));
+registerDocumentRoutes('books', 'book', () => client.db(dbName).collection('books'));
+
+// Search endpoint with multiple search types
+app.post('/api/search', requireScope('search'), upload.single('image'), rateLimit(searchBucket), queryAnalytics.track, validateRequest({ body: SEARCH_BODY }), async (req, res) => {
+    console.log('Search request received:', req.body);
+
+    const startTime = performance.now();
+    try {
+        const searchType = req.body.type;
+        console.log('Starting search process for type:', searchType);
+        requireSearchInput(searchType, req.body.query, req.file);
+
+        const filter = parseProductFilters(req.body.filters);
+        // Boosted and unboosted orders differ, so their cursors must not mix
+        const fingerprintType = wantsFeedback(req.body) ? `${searchType}:feedback` : searchType;
+        const paging = parsePagination(req.body, searchFingerprint(fingerprintType, req.body.query, req.file, filter), config.search);
+        const explain = createExplain(isExplainRequested(req.body.explain));
+        const { page } = await runProductSearch(searchType, {
+            query: req.body.query,
+            file: req.file,
+            filter,
+            paging,
+            options: req.body,
+            explain,
+            usage: res.locals.usage
+        });
 
         console.log('Search completed. Returning results.');
+        const clampScore = score => (score ? Math.min(Math.max(score, 0), 1) : undefined);
         res.json({
-            results: results.map(result => ({
+            results: page.results.map(result => ({
                 ...result,
-                score: result.score ? Math.min(Math.max(result.score, 0), 1) : undefined
+                score: clampScore(result.score)
             })),
+            pagination: page.pagination,
             searchTime: (performance.now() - startTime).toFixed(2),
+            ...(explain.enabled && {
+                explain: explain.report({ type: searchType, query: req.body.query, filter, scores: explainScores(page.results, clampScore) })
+            })
         });
 
     } catch (error) {
         console.error('Error during search:', error);
-        res.status(500).json({
-            error: 'Search failed',
-            details: error.message,
+        sendError(res, error, 'Search failed');
+    }
+});
+
+// Image search needs the upload; every other type needs query text
+function requireSearchInput(type, query, file) {
+    if (type === 'image' && !file) {
+        throw validationError([{ field: 'image', location: 'body', message: 'is required for image search' }]);
+    }
+    if (type !== 'image' && !query) {
+        throw validationError([{ field: 'query', location: 'body', message: `is required for ${type} search` }]);
+    }
+}
+
+// Run one query through several search types in parallel (multipart with `image` for
+// image search). Body: { query, types, filters, pageSize, rboP }. Each type's top
+// `pageSize` results are compared pairwise with Jaccard and rank-biased overlap.
+app.post('/api/search/compare', requireScope('search'), upload.single('image'), rateLimit('expensive'), queryAnalytics.track, validateRequest({ body: COMPARE_BODY }), async (req, res) => {
+    const startTime = performance.now();
+    try {
+        const { query, pageSize, rboP = 0.9 } = req.body;
+        const types = [...new Set(req.body.types || PRODUCT_SEARCH_TYPES.filter(type => type !== 'image' || req.file))];
+        if (types.length < 2) {
+            throw validationError([{ field: 'types', location: 'body', message: 'must name at least two different search types' }]);
+        }
+        types.forEach(type => requireSearchInput(type, query, req.file));
+
+        const filter = parseProductFilters(req.body.filters);
+        const outcomes = await Promise.all(types.map(async type => {
+            const started = performance.now();
+            try {
+                const paging = parsePagination({ pageSize }, searchFingerprint(type, query, req.file, filter), config.search);
+                const explain = createExplain(isExplainRequested(req.body.explain));
+                const { page, derivedQuery } = await runProductSearch(type, { query, file: req.file, filter, paging, options: req.body, explain, usage: res.locals.usage });
+                return {
+                    type,
+                    results: page.results,
+                    total: page.pagination.total,
+                    latencyMs: performance.now() - started,
+                    ...(derivedQuery && { derivedQuery }),
+                    ...(explain.enabled && { explain: explain.report({ scores: explainScores(page.results) }) })
+                };
+            } catch (error) {
+                console.error(`Compare: ${type} search failed:`, error);
+                const { error: message, code } = errorBody(error, res, 'Search failed');
+                return { type, error: message, code, latencyMs: performance.now() - started };
+            }
+        }));
+
+        const succeeded = outcomes.filter(outcome => !outcome.error);
+        const overlap = succeeded.flatMap((a, i) => succeeded.slice(i + 1).map(b => ({
+            types: [a.type, b.type],
+            jaccard: jaccard(a.results, b.results),
+            rbo: rankBiasedOverlap(a.results, b.results, rboP)
+        })));
+
+        res.json({
+            query,
+            enhancedQuery: outcomes.find(outcome => outcome.type === 'semantic')?.derivedQuery,
+            imageDescription: outcomes.find(outcome => outcome.type === 'image')?.derivedQuery,
+            results: Object.fromEntries(outcomes.map(({ type, ...outcome }) => [type, outcome])),
+            overlap,
+            searchTime: (performance.now() - startTime).toFixed(2)
         });
+    } catch (error) {
+        console.error('Error during search comparison:', error);
+        sendError(res, error, 'Search comparison failed');
+    }
+});
+
+// Record which result of a product search was useful:
+// { query, resultId, action: click | add_to_cart | thumbs_up | thumbs_down, type, position }
+app.post('/api/feedback', requireScope('search'), rateLimit('cheap'), validateRequest({ body: FEEDBACK_BODY }), async (req, res) => {
+    try {
+        const db = client.db(dbName);
+        const event = await recordFeedback(db.collection(config.feedback.collection), db.collection(collectionName), req.body);
+        res.status(201).json({ _id: event._id, resultId: event.documentId, action: event.action, createdAt: event.createdAt });
+    } catch (error) {
+        console.error('Error recording feedback:', error);
+        sendError(res, error, 'Failed to record feedback');
     }
 });
 
+// Run one product search type and return its page. `derivedQuery` is the text the
+// type actually searched with when it differs from the input: the GPT-enhanced query
+// (semantic) or the image description (image).
+async function runProductSearch(type, { query, file, filter, paging, options = {}, explain = NO_EXPLAIN, usage = NO_USAGE }) {
+    const collection = client.db(dbName).collection(collectionName);
+    let page;
+    let derivedQuery;
+
+    switch (type) {
+        case 'basic': {
+            console.log('Performing basic search with query:', query);
+            page = await findPage(collection, withFilter({
+                $or: [
+                    { title: { $regex: query, $options: 'i' } },
+                    { description: { $regex: query, $options: 'i' } },
+                    { category: { $regex: query, $options: 'i' } }
+                ]
+            }, filter), paging, [{ $project: migration.vectorProjection() }], explain);
+            console.log('Basic search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        case 'atlas': {
+            console.log('Performing Atlas Search with query:', query);
+            if (!query) {
+                throw badRequest('No search query provided', { field: 'query' });
+            }
+            const pipeline = paginatePipeline(
+                buildProductSearchPipeline(query, { limit: paging.maxWindow, filter }),
+                paging,
+                [{ $project: migration.vectorProjection() }],
+                { top: [{ $limit: 1 }, { $project: { score: 1 } }] }
+            );
+            console.log('Atlas Search pipeline:', JSON.stringify(pipeline, null, 2));
+            explain.pipeline('search', pipeline);
+            const facet = await explain.time('search', () => collection.aggregate(pipeline).toArray());
+            page = fromFacet(facet, paging, { window: paging.maxWindow });
+            explain.candidates('search', { limit: paging.maxWindow, matched: page.pagination.total });
+            // Scale against the best match of the whole query, not just this page
+            page.results = normalizeSearchScores(page.results, facet[0]?.top?.[0]?.score).map(result => ({
+                ...result,
+                highlights: formatHighlights(result.highlights)
+            }));
+            console.log('Atlas search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        case 'vector': {
+            console.log('Performing vector search with query:', query);
+            const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, usage);
+            logger.debug(`Generated query embedding (${embedding.length} dimensions)`);
+            page = await vectorSearchPage(collection, embedding, paging, { filter, boostStages: feedbackStages(options, query), explain });
+            console.log('Vector search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        case 'semantic': {
+            console.log('Enhancing query for semantic search:', query);
+            derivedQuery = await explain.time('queryRewrite', () => enhanceQueryWithGPT(query, usage));
+            explain.set('rewrite', { model: PRODUCT_ENHANCEMENT_MODEL, query: derivedQuery });
+            const embedding = await generateQueryEmbedding(collection, derivedQuery, DEFAULT_VECTOR_PATH, explain, usage);
+            console.log('Enhanced query embedding:', embedding);
+            page = await vectorSearchPage(collection, embedding, paging, { filter, boostStages: feedbackStages(options, query), explain });
+            console.log('Semantic search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        case 'image': {
+            console.log('Processing image for search');
+            if (!file) {
+                throw badRequest('No image file provided', { field: 'image' });
+            }
+            derivedQuery = await explain.time('imageDescription', () => processImage(file.buffer, usage));
+            explain.set('rewrite', { model: IMAGE_DESCRIPTION_MODEL, query: derivedQuery });
+            console.log('Generated image description:', derivedQuery);
+            const embedding = await generateQueryEmbedding(collection, derivedQuery, DEFAULT_VECTOR_PATH, explain, usage);
+            page = await vectorSearchPage(collection, embedding, paging, { filter, boostStages: feedbackStages(options), explain });
+            console.log('Image search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        case 'hybrid': {
+            console.log('Performing hybrid search with query:', query);
+            if (!query) {
+                throw badRequest('No search query provided', { field: 'query' });
+            }
+            const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, usage);
+            const fused = await runHybridSearch(collection, {
+                queryVector: embedding,
+                searchStage: buildProductSearchStage(query),
+                exclude: migration.vectorProjection(),
+                ...vectorReadOptions(collection),
+                filter,
+                candidateLimit: paging.window,
+                numCandidates: paging.numCandidates,
+                ...hybridOptions(options),
+                explain
+            });
+            page = fromArray(fused, paging, { window: paging.window });
+            console.log('Hybrid search results:', page.results.length, 'matches found');
+            break;
+        }
+
+        default:
+            throw badRequest(`Invalid search type: ${type}`, { field: 'type', allowed: PRODUCT_SEARCH_TYPES });
+    }
+
+    return { page, derivedQuery };
+}
 
 // Helper functions
 
-async function generateEmbedding(text) {
-    console.log('Sending text to OpenAI for embedding:', text);
+// Vector, semantic and image product searches blend in feedback signals on request (`feedback: true`)
+const wantsFeedback = options => options.feedback === true;
 
-    const response = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: text
+function feedbackStages(options, query) {
+    if (!wantsFeedback(options)) return [];
+    return feedbackBoostStages({ signalsCollection: config.feedback.signalsCollection, query, ...config.feedback.boost });
+}
+
+// Identifies a query so a pagination cursor cannot be replayed against a different one
+function searchFingerprint(type, query, file, filter) {
+    const filterKey = filter ? JSON.stringify(filter) : '';
+    return hashText(`${type}:${query || ''}:${file ? hashText(file.buffer) : ''}:${filterKey}`).slice(0, 16);
+}
+
+// One page of $vectorSearch results. The candidate window is the same for every
+// page of a query, so pages never overlap or skip documents.
+// `boostStages` re-score and re-sort the candidate window before it is paged
+async function vectorSearchPage(collection, queryVector, paging, { filter, boostStages = [], resultStages = [{ $project: migration.vectorProjection() }], explain = NO_EXPLAIN } = {}) {
+    const { path, index } = migration.readTarget(collection.collectionName);
+    const pipeline = paginatePipeline(
+        [
+            ...vectorSearchPipeline({ queryVector, path, index, filter, numCandidates: paging.numCandidates, limit: paging.window }),
+            ...boostStages
+        ],
+        paging,
+        resultStages
+    );
+    explain.pipeline('vectorSearch', pipeline);
+    const facet = await explain.time('vectorSearch', () => collection.aggregate(pipeline).toArray());
+    const page = fromFacet(facet, paging, { window: paging.window });
+    explain.candidates('vectorSearch', { numCandidates: paging.numCandidates, limit: paging.window, returned: page.pagination.total });
+    return page;
+}
+
+// One page of a plain find(), in _id order
+async function findPage(collection, filter, paging, resultStages = [], explain = NO_EXPLAIN) {
+    const pipeline = paginatePipeline(
+        [{ $match: filter }, { $sort: { _id: 1 } }, { $limit: paging.maxWindow }],
+        paging,
+        resultStages
+    );
+    explain.pipeline('match', pipeline);
+    const facet = await explain.time('match', () => collection.aggregate(pipeline).toArray());
+    const page = fromFacet(facet, paging, { window: paging.maxWindow });
+    explain.candidates('match', { limit: paging.maxWindow, matched: page.pagination.total });
+    return page;
+}
+
+// Fusion settings accepted by every hybrid search route
+function hybridOptions({ fusion, weights, rrfK }) {
+    return {
+        method: fusion || 'rrf',
+        weights,
+        k: rrfK !== undefined ? Number(rrfK) : undefined
+    };
+}
+
+async function generateEmbedding(text, provider = embedder, usage = NO_USAGE) {
+    return embeddingCache.wrap(provider.model, text, async () => {
+        console.log(`Sending text to ${provider.name} (${provider.model}) for embedding:`, text);
+        const { vectors, usage: tokens } = await provider.embed([text]);
+        usage.embedding(provider, tokens);
+        return vectors[0];
     });
-    return response.data[0].embedding;
 }
 
-app.get('/api/data', async (req, res) => {
+// Embed a search query, refusing if the target field was embedded with another model.
+// Queries against description_embedding go to the field and model reads currently use.
+async function generateQueryEmbedding(collection, text, path = DEFAULT_VECTOR_PATH, explain = NO_EXPLAIN, usage = NO_USAGE) {
+    const target = path === DEFAULT_VECTOR_PATH ? migration.readTarget(collection.collectionName) : { path, provider: embedder };
+    await assertCompatibleVectors(collection, target.path, target.provider);
+    explain.set('embedding', {
+        provider: target.provider.name,
+        model: target.provider.model,
+        dimensions: target.provider.dimensions,
+        path: target.path,
+        ...(target.index && { index: target.index })
+    });
+    return explain.time('embedding', () => generateEmbedding(text, target.provider, usage));
+}
+
+// runHybridSearch options for the vector field reads of this collection use
+function vectorReadOptions(collection) {
+    const { path, index } = migration.readTarget(collection.collectionName);
+    return { vectorPath: path, vectorIndex: index };
+}
+
+// While a shadow model is configured, written documents get their shadow vector too.
+// Failures are logged: the sync worker or the migration backfill fills the gap.
+async function syncShadowEmbeddings(collection, doc) {
+    if (!migration.shadow) return;
+    const sources = migration.withShadowSources(EMBEDDING_SOURCES[collection.collectionName] || [])
+        .filter(source => source.provider === migration.shadow);
+    try {
+        await syncDocumentEmbeddings(collection, doc, sources, { embed: generateEmbedding, provider: embedder });
+    } catch (error) {
+        logger.warn(`Shadow embedding failed for ${collection.collectionName}/${doc._id}: ${error.message}`);
+    }
+}
+
+app.get('/api/data', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection(collectionName);
         const data = await collection.find({}).toArray();
         res.json(data);
     } catch (error) {
         console.error('Error fetching data:', error);
-        res.status(500).json({
-            error: 'Failed to fetch data',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'Failed to fetch data');
     }
 });
-async function enhanceQueryWithGPT(query) {
-    const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",  // Updated model name
-        messages: [
-            {
-                role: "system",
-                content: "Convert the user's search query into a detailed product description, staying focused on the core concept. For misspelled words, correct them but maintain the original intent."
-            },
-            {
-                role: "user",
-                content: query
-            }
-        ],
-        max_tokens: 150
+const PRODUCT_ENHANCEMENT_PROMPT = "Convert the user's search query into a detailed product description, staying focused on the core concept. For misspelled words, correct them but maintain the original intent.";
+
+const PRODUCT_ENHANCEMENT_MODEL = "gpt-4o-mini";
+
+async function enhanceQueryWithGPT(query, usage = NO_USAGE) {
+    const model = PRODUCT_ENHANCEMENT_MODEL;
+    // The prompt is part of the cache key so editing it invalidates old rewrites
+    return enhancementCache.wrap(`${model}:${hashText(PRODUCT_ENHANCEMENT_PROMPT).slice(0, 12)}`, query, async () => {
+        const completion = await openai.chat.completions.create({
+            model,
+            messages: [
+                {
+                    role: "system",
+                    content: PRODUCT_ENHANCEMENT_PROMPT
+                },
+                {
+                    role: "user",
+                    content: query
+                }
+            ],
+            max_tokens: 150
+        });
+        usage.chat(model, completion.usage);
+
+        // console.log('Enhanced query:', completion.choices[0].message.content);
+        return completion.choices[0].message.content;
     });
+}
 
-    // console.log('Enhanced query:', completion.choices[0].message.content);
-    return completion.choices[0].message.content;
+const IMAGE_DESCRIPTION_MODEL = "gpt-4o-mini";
+
+async function processImage(imageBuffer, usage = NO_USAGE) {
+    const model = IMAGE_DESCRIPTION_MODEL;
+    return imageDescriptionCache.wrap(model, hashText(imageBuffer), () => describeImage(imageBuffer, model, usage));
 }
 
-async function processImage(imageBuffer) {
+async function describeImage(imageBuffer, model, usage) {
     const base64Image = imageBuffer.toString('base64');
     // console.log('Base64 image:', base64Image);
     try {
         const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",  // Updated model name
+            model,
             messages: [
                 {
                     role: "user",
@@ -463,6 +1179,7 @@ async function processImage(imageBuffer) {
             ],
             max_tokens: 300
         });
+        usage.chat(model, response.usage);
 
         console.log('Image description:', response.choices[0].message.content);
         return response.choices[0].message.content;
@@ -472,39 +1189,6 @@ async function processImage(imageBuffer) {
     }
 }
 
-const initializeIndexes = async () => {
-    const collection = client.db(dbName).collection("books");
-
-    // Vector search index
-    await collection.createSearchIndex({
-        name: "vector_index",
-        definition: {
-            mappings: {
-                dynamic: true,
-                fields: {
-                    "embeddings.description": {
-                        dimensions: 384,
-                        similarity: "cosine",
-                        type: "knnVector"
-                    }
-                }
-            }
-        }
-    });
-
-    // Text search index
-    await collection.createIndex({
-        title: "text",
-        summary: "text",
-        keywords: "text"
-    }, { name: "text_search_index" });
-
-    // Regular indexes
-    await collection.createIndex({ period: 1 });
-    await collection.createIndex({ keywords: 1 });
-    await collection.createIndex({ "metadata.dateAdded": 1 });
-};
-
 // Initialize MongoDB connection and indexes
 async function initializeDB() {
     try {
@@ -521,25 +1205,27 @@ async function initializeDB() {
         // Create indexes for ancient texts
         console.log('\nInitializing Ancient Texts Collection...');
 
-        // Create vector search index for ancient texts
-        try {
-            const vectorIndex = {
-                name: "vector_index",
-                type: "vectorSearch",
-                definition: {
-                    fields: [{
-                        type: "vector",
-                        numDimensions: 1536, // for text-embedding-3-small
-                        path: "description_embedding",
-                        similarity: "cosine"
-                    }]
+        // Create vector search indexes, declaring the fields searches may pre-filter on.
+        // numDimensions must match the configured embedding model.
+        const vectorIndexes = [
+            { collection: ancientTextsCollection, filterPaths: BOOK_FILTER_PATHS },
+            { collection: db.collection("books"), filterPaths: BOOK_FILTER_PATHS },
+            { collection: db.collection(collectionName), filterPaths: PRODUCT_FILTER_PATHS }
+        ];
+        for (const { collection, filterPaths } of vectorIndexes) {
+            try {
+                const status = await ensureVectorIndex(collection, {
+                    dimensions: embedder.dimensions,
+                    filterPaths
+                });
+                console.log(`Vector search index for ${collection.collectionName}: ${status}`);
+                if (migration.shadow) {
+                    const shadowStatus = await ensureVectorIndex(collection, migration.shadowIndexOptions({ filterPaths }));
+                    console.log(`Shadow vector search index for ${collection.collectionName}: ${shadowStatus}`);
                 }
-            };
-
-            await ancientTextsCollection.createSearchIndex(vectorIndex);
-            console.log("Created vector search index for ancient texts");
-        } catch (error) {
-            console.warn("Warning: Vector search index creation failed:", error.message);
+            } catch (error) {
+                console.warn(`Warning: Vector search index creation failed for ${collection.collectionName}:`, error.message);
+            }
         }
 
         // Create text search index for ancient texts
@@ -553,12 +1239,90 @@ async function initializeDB() {
             console.warn("Warning: Text search index creation failed:", error.message);
         }
 
+        // Create Atlas Search index (fuzzy, autocomplete, highlights) for products
+        try {
+            const productsCollection = db.collection(collectionName);
+            const existing = await productsCollection.listSearchIndexes(productSearchIndexDefinition.name).toArray();
+            if (existing.length === 0) {
+                await productsCollection.createSearchIndex(productSearchIndexDefinition);
+                console.log("Created Atlas Search index for products");
+            }
+        } catch (error) {
+            console.warn("Warning: Products Atlas Search index creation failed:", error.message);
+        }
+
+        // Passage collection used for chunked Q&A retrieval
+        try {
+            const passages = db.collection(config.passages.collection);
+            await ensurePassageIndexes(passages);
+            const status = await ensureVectorIndex(passages, passageIndexOptions(embedder.dimensions));
+            console.log(`Vector search index for ${passages.collectionName}: ${status}`);
+        } catch (error) {
+            console.warn("Warning: Passage index creation failed:", error.message);
+        }
+
+        // Conversation sessions are listed newest first
+        try {
+            await ensureSessionIndexes(db.collection(config.conversation.collection));
+        } catch (error) {
+            console.warn("Warning: Session index creation failed:", error.message);
+        }
+
+        // TTL and report indexes for query analytics
+        try {
+            await ensureAnalyticsIndexes(db.collection(config.analytics.collection));
+        } catch (error) {
+            console.warn("Warning: Analytics index creation failed:", error.message);
+        }
+
+        // Connection profiles are unique by name
+        try {
+            await ensureProfileIndexes(db.collection(config.connectionProfiles.collection));
+        } catch (error) {
+            console.warn("Warning: Connection profile index creation failed:", error.message);
+        }
+
+        // Feedback events and the signals aggregated from them
+        try {
+            await ensureFeedbackIndexes(db.collection(config.feedback.collection), db.collection(config.feedback.signalsCollection));
+        } catch (error) {
+            console.warn("Warning: Feedback index creation failed:", error.message);
+        }
+
+        // API keys are looked up by hash
+        try {
+            await ensureApiKeyIndexes(db.collection(config.apiKeys.collection));
+        } catch (error) {
+            console.warn("Warning: API key index creation failed:", error.message);
+        }
+
+        // Finished rate limit windows and budget days expire
+        if (config.rateLimits.store === 'mongodb') {
+            try {
+                await ensureRateLimitIndexes(db.collection(config.rateLimits.collection));
+            } catch (error) {
+                console.warn("Warning: Rate limit index creation failed:", error.message);
+            }
+        }
+
+        // TTL index for the embedding / query-enhancement cache
+        try {
+            await ensureCacheIndexes(db.collection(config.cache.collection));
+        } catch (error) {
+            console.warn("Warning: Cache index creation failed:", error.message);
+        }
+
         // Create regular indexes
         await ancientTextsCollection.createIndex({ title: 1 });
         await ancientTextsCollection.createIndex({ period: 1 });
         await ancientTextsCollection.createIndex({ keywords: 1 });
         await ancientTextsCollection.createIndex({ "metadata.dateAdded": 1 });
 
+        const booksCollection = db.collection("books");
+        await booksCollection.createIndex({ period: 1 });
+        await booksCollection.createIndex({ keywords: 1 });
+        await booksCollection.createIndex({ "metadata.dateAdded": 1 });
+
         return true;
     } catch (error) {
         console.error('DB initialization error:', error);
@@ -635,8 +1399,11 @@ async function addInitialTexts() {
                 const titleEmbedding = await generateEmbedding(text.title);
                 const descriptionEmbedding = await generateEmbedding(text.summary);
 
-                text.title_embedding = titleEmbedding;
-                text.embeddings.description = descriptionEmbedding;
+                Object.assign(
+                    text,
+                    embeddingFields("title_embedding", titleEmbedding, embedder, text.title),
+                    embeddingFields("description_embedding", descriptionEmbedding, embedder, text.summary)
+                );
                 text.searchableTitle = text.title.toLowerCase();
                 text.metadata = {
                     dateAdded: new Date(),
@@ -653,6 +1420,20 @@ async function addInitialTexts() {
     }
 }
 
+// Remove raw query text past its retention period, now and then periodically
+function scheduleQueryTextPurge() {
+    const purge = async () => {
+        try {
+            const purged = await purgeExpiredQueryText(analyticsCollection());
+            if (purged > 0) console.log(`Removed query text from ${purged} analytics events`);
+        } catch (error) {
+            console.warn('Analytics query text purge failed:', error.message);
+        }
+    };
+    purge();
+    setInterval(purge, config.analytics.purgeIntervalMinutes * 60 * 1000).unref();
+}
+
 // Update your startServer function
 async function startServer() {
     try {
@@ -660,6 +1441,7 @@ async function startServer() {
         if (dbInitialized) {
             await addInitialTexts(); // Add initial ancient texts
             await updateDocumentsWithSearchableTitle();
+            scheduleQueryTextPurge();
 
             app.listen(PORT, () => {
                 console.log(`Server running on port ${PORT}`);
@@ -702,10 +1484,9 @@ async function seedSampleData() {
 
         // Generate embeddings for sample products
         for (const product of sampleProducts) {
-            const embedding = await generateEmbedding(
-                `${product.title} ${product.description} ${product.category}`
-            );
-            product.description_embedding = embedding;
+            const text = `${product.title} ${product.description} ${product.category}`;
+            const embedding = await generateEmbedding(text);
+            Object.assign(product, embeddingFields("description_embedding", embedding, embedder, text));
         }
 
         await collection.insertMany(sampleProducts);
@@ -724,7 +1505,7 @@ app.get('/api/health', async (req, res) => {
         res.json({
             status: 'ok',
             mongodb: dbStatus.ok === 1 ? 'connected' : 'disconnected',
-            search_types: ['basic', 'atlas', 'vector', 'semantic', 'image']
+            search_types: PRODUCT_SEARCH_TYPES
         });
     } catch (error) {
         res.status(500).json({
@@ -735,343 +1516,360 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
-app.post('/api/books/search', async (req, res) => {
+app.post('/api/books/search', requireScope('search'), rateLimit(searchBucket), queryAnalytics.track, validateRequest({ body: BOOK_SEARCH_BODY }), async (req, res) => {
     const { type, query, era } = req.body;
     const startTime = performance.now();
     const collection = client.db(dbName).collection("books");
 
     try {
-        let results = [];
+        // `era` is the older name for the period filter
+        const filter = parseBookFilters(era && !req.body.filters ? { period: era } : req.body.filters);
+        const paging = parsePagination(req.body, searchFingerprint(type, query, undefined, filter), config.search);
+        const bookFields = { title: 1, author: 1, summary: 1, period: 1, keywords: 1, score: 1 };
+        const explain = createExplain(isExplainRequested(req.body.explain));
+        let page = fromArray([], paging);
         switch (type) {
             case 'vector': {
-                const embedding = await generateEmbedding(query);
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",  // Changed from embeddings.description
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index"
-                        }
-                    },
-                    {
-                        $addFields: { score: { $meta: "vectorSearchScore" } }
-                    },
-                    {
-                        $project: {
-                            title: 1,
-                            author: 1,
-                            summary: 1,
-                            period: 1,
-                            keywords: 1,
-                            score: 1,
-                            year: "$date" // Map era to period
+                const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
+                page = await vectorSearchPage(collection, embedding, paging, {
+                    filter,
+                    explain,
+                    resultStages: [
+                        {
+                            $project: {
+                                ...bookFields,
+                                year: "$date" // Map era to period
+                            }
                         }
-                    }
-                ]).toArray();
+                    ]
+                });
                 break;
             }
             case 'semantic': {
-                const enhancedQuery = await enhanceAncientQuery(query);
-                const embedding = await generateEmbedding(enhancedQuery);
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",  // Changed from embeddings.description
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index"
-                        }
-                    },
-                    {
-                        $addFields: { score: { $meta: "vectorSearchScore" } }
-                    },
-                    {
-                        $project: {
-                            title: 1,
-                            author: 1,
-                            summary: 1,
-                            period: 1,
-                            keywords: 1,
-                            score: 1
-                        }
-                    }
-                ]).toArray();
+                const enhancedQuery = await explain.time('queryRewrite', () => enhanceAncientQuery(query, res.locals.usage));
+                explain.set('rewrite', { model: ANCIENT_ENHANCEMENT_MODEL, query: enhancedQuery });
+                const embedding = await generateQueryEmbedding(collection, enhancedQuery, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
+                page = await vectorSearchPage(collection, embedding, paging, { filter, resultStages: [{ $project: bookFields }], explain });
                 break;
             }
             case 'concept': {
-                results = await collection.aggregate([
-                    {
-                        $search: {
-                            index: "default",
-                            text: {
-                                query: query,
-                                path: ["keywords", "title", "summary"],
-                                fuzzy: {}
-                            }
-                        }
-                    },
+                const pipeline = paginatePipeline([
+                    buildBookSearchStage(query),
+                    ...(filter ? [{ $match: filter }] : []),
+                    { $limit: paging.maxWindow },
                     {
                         $addFields: { score: { $meta: "searchScore" } }
                     },
-                    { $limit: 10 }
-                ]).toArray();
+                    { $sort: { score: -1, _id: 1 } }
+                ], paging);
+                explain.pipeline('search', pipeline);
+                const facet = await explain.time('search', () => collection.aggregate(pipeline).toArray());
+                page = fromFacet(facet, paging, { window: paging.maxWindow });
+                explain.candidates('search', { limit: paging.maxWindow, matched: page.pagination.total });
+                break;
+            }
+            case 'hybrid': {
+                const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
+                const fused = await runHybridSearch(collection, {
+                    queryVector: embedding,
+                    searchStage: buildBookSearchStage(query),
+                    project: { title: 1, author: 1, summary: 1, period: 1, keywords: 1, year: "$date" },
+                    ...vectorReadOptions(collection),
+                    filter,
+                    candidateLimit: paging.window,
+                    numCandidates: paging.numCandidates,
+                    ...hybridOptions(req.body),
+                    explain
+                });
+                page = fromArray(fused, paging, { window: paging.window });
                 break;
             }
+            default:
+                throw badRequest(`Unsupported search type: ${type}`, { field: 'type', allowed: BOOK_SEARCH_TYPES });
         }
 
         const searchTime = performance.now() - startTime;
+        const clampScore = score => Math.min(Math.max(score, 0), 1);
         res.json({
-            results: results.map(r => ({
+            results: page.results.map(r => ({
                 ...r,
-                score: Math.min(Math.max(r.score, 0), 1)
+                score: clampScore(r.score)
             })),
-            searchTime: searchTime.toFixed(2)
+            pagination: page.pagination,
+            searchTime: searchTime.toFixed(2),
+            ...(explain.enabled && {
+                explain: explain.report({ type, query, filter, scores: explainScores(page.results, clampScore) })
+            })
         });
     } catch (error) {
         console.error('Search error:', error);
-        res.status(500).json({
-            error: 'Search failed',
-            details: error.message
-        });
+        sendError(res, error, 'Search failed');
+    }
+});
+
+app.get('/api/cache/stats', requireScope('admin'), (req, res) => {
+    res.json({
+        embedding: embeddingCache.stats(),
+        queryEnhancement: enhancementCache.stats(),
+        imageDescription: imageDescriptionCache.stats()
+    });
+});
+
+// Query analytics reports. Query string: hours (default 24) or from/to ISO dates,
+// plus optional endpoint (e.g. /api/search), type and limit.
+const ANALYTICS_REPORTS = {
+    'queries/top': topQueries,
+    'queries/zero-results': zeroResultQueries,
+    'queries/slowest': slowestQueries,
+    latency: latencyByType
+};
+
+for (const [name, report] of Object.entries(ANALYTICS_REPORTS)) {
+    app.get(`/api/analytics/${name}`, requireScope('admin'), validateRequest({ query: REPORT_QUERY }), async (req, res) => {
+        try {
+            const { window, ...options } = parseReportQuery(req.query);
+            res.json({ window, results: await report(analyticsCollection(), options) });
+        } catch (error) {
+            console.error(`Analytics report ${name} failed:`, error);
+            sendError(res, error, 'Failed to build analytics report');
+        }
+    });
+}
+
+// API key administration. The plain key is returned once, when it is issued or rotated.
+app.get('/api/admin/api-keys', requireScope('admin'), async (req, res) => {
+    try {
+        res.json(await listApiKeys(apiKeysCollection()));
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        sendError(res, error, 'Failed to list API keys');
+    }
+});
+
+app.post('/api/admin/api-keys', requireScope('admin'), validateRequest({ body: API_KEY_BODY }), async (req, res) => {
+    try {
+        res.status(201).json(await issueApiKey(apiKeysCollection(), req.body));
+    } catch (error) {
+        console.error('Error issuing API key:', error);
+        sendError(res, error, 'Failed to issue API key');
+    }
+});
+
+app.post('/api/admin/api-keys/:id/rotate', requireScope('admin'), validateRequest({ params: ID_PARAMS, body: ROTATE_API_KEY_BODY }), async (req, res) => {
+    try {
+        res.status(201).json(await rotateApiKey(apiKeysCollection(), req.params.id, req.body));
+    } catch (error) {
+        console.error('Error rotating API key:', error);
+        sendError(res, error, 'Failed to rotate API key');
+    }
+});
+
+app.delete('/api/admin/api-keys/:id', requireScope('admin'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        if (!await revokeApiKey(apiKeysCollection(), req.params.id)) {
+            throw notFound('API key not found');
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        sendError(res, error, 'Failed to revoke API key');
     }
 });
 
-app.get('/api/books/periods', async (req, res) => {
+app.get('/api/books/periods', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection("books");
         const periods = await collection.distinct("period");
         res.json(periods);
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to fetch periods',
-            details: error.message
-        });
+        console.error('Error fetching periods:', error);
+        sendError(res, error, 'Failed to fetch periods');
     }
 });
 
-app.get('/api/books/concepts', async (req, res) => {
+app.get('/api/books/concepts', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection("books");
         const concepts = await collection.distinct("keywords");
         res.json(concepts);
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to fetch concepts',
-            details: error.message
-        });
+        console.error('Error fetching concepts:', error);
+        sendError(res, error, 'Failed to fetch concepts');
+    }
+});
+
+// Registered after the fixed /api/books/* paths so it does not shadow them
+app.get('/api/books/:id', requireScope('search'), rateLimit('cheap'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const collection = client.db(dbName).collection("books");
+        const book = await collection.findOne(
+            { _id: new ObjectId(req.params.id) },
+            {
+                projection: {
+                    title: 1,
+                    author: 1,
+                    summary: 1,
+                    period: 1,
+                    date: 1,
+                    contents: 1,
+                    significance: 1,
+                    keywords: 1,
+                    references: 1
+                }
+            }
+        );
+
+        if (!book) {
+            throw notFound('Book not found');
+        }
+
+        res.json(book);
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch book details');
     }
 });
 
-app.post('/api/ancient-texts/search', async (req, res) => {
+app.post('/api/ancient-texts/search', requireScope('search'), rateLimit(searchBucket), queryAnalytics.track, validateRequest({ body: ANCIENT_TEXT_SEARCH_BODY }), async (req, res) => {
     console.log('Ancient texts search request received:', req.body);
     const startTime = performance.now();
 
     try {
         const { type, query } = req.body;
-
-        if (!type || !query) {
-            throw new Error('Missing required parameters: "type" and "query".');
-        }
-
         console.log('Search type:', type, '| Query:', query);
 
         const collection = client.db(dbName).collection("books");
-        let results = [];
+        const paging = parsePagination(req.body, searchFingerprint(type, query), config.search);
+        const textFields = { title: 1, author: 1, description: 1, concepts: 1, era: 1, year: 1, score: 1 };
+        const explain = createExplain(isExplainRequested(req.body.explain));
+        let page;
 
         switch (type) {
             case 'basic': {
                 console.log('Performing basic search...');
-                results = await collection.find({
+                page = await findPage(collection, {
                     $or: [
                         { title: { $regex: query, $options: 'i' } },
                         { author: { $regex: query, $options: 'i' } },
                         { description: { $regex: query, $options: 'i' } }
                     ]
-                }).limit(10).toArray();
+                }, paging, [], explain);
 
-                console.log(`Basic search results: ${results.length} matches found.`);
+                console.log(`Basic search results: ${page.results.length} matches found.`);
                 break;
             }
 
             case 'vector': {
                 console.log('Generating embedding for vector search...');
-                const embedding = await generateEmbedding(query);
+                const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
 
                 console.log('Performing vector search...');
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",  // Changed from embeddings.description
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index",
-                        }
-                    },
-                    {
-                        $addFields: {
-                            score: { $meta: "vectorSearchScore" }
-                        }
-                    },
-                    {
-                        $project: {
-                            title: 1,
-                            author: 1,
-                            description: 1,
-                            concepts: 1,
-                            era: 1,
-                            year: 1,
-                            score: 1
-                        }
-                    }
-                ]).toArray();
+                page = await vectorSearchPage(collection, embedding, paging, { resultStages: [{ $project: textFields }], explain });
 
-                console.log(`Vector search results: ${results.length} matches found.`);
+                console.log(`Vector search results: ${page.results.length} matches found.`);
                 break;
             }
 
             case 'semantic': {
                 console.log('Enhancing query for semantic search...');
-                const enhancedQuery = await enhanceAncientQuery(query);
+                const enhancedQuery = await explain.time('queryRewrite', () => enhanceAncientQuery(query, res.locals.usage));
+                explain.set('rewrite', { model: ANCIENT_ENHANCEMENT_MODEL, query: enhancedQuery });
                 console.log('Enhanced query:', enhancedQuery);
 
                 console.log('Generating embedding for enhanced query...');
-                const embedding = await generateEmbedding(enhancedQuery);
+                const embedding = await generateQueryEmbedding(collection, enhancedQuery, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
 
                 console.log('Performing semantic search...');
-                results = await collection.aggregate([
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",
-                            numCandidates: 100,
-                            limit: 10,
-                            index: "vector_index",
-                        }
-                    },
-                    {
-                        $addFields: {
-                            score: { $meta: "vectorSearchScore" }
-                        }
-                    },
-                    {
-                        $project: {
-                            title: 1,
-                            author: 1,
-                            description: 1,
-                            concepts: 1,
-                            era: 1,
-                            year: 1,
-                            score: 1
-                        }
-                    }
-                ]).toArray();
+                page = await vectorSearchPage(collection, embedding, paging, { resultStages: [{ $project: textFields }], explain });
 
-                console.log(`Semantic search results: ${results.length} matches found.`);
+                console.log(`Semantic search results: ${page.results.length} matches found.`);
                 break;
             }
 
             case 'concept': {
                 console.log('Performing hybrid concept search...');
-                const embedding = await generateEmbedding(query);
-
-                const vectorPipeline = [
-                    {
-                        $vectorSearch: {
-                            queryVector: embedding,
-                            path: "description_embedding",
-                            numCandidates: 100,
-                            limit: 20,
-                            index: "vector_index",
-                        }
-                    },
-                    { $addFields: { vectorScore: { $meta: "vectorSearchScore" } } },
-                    { $project: { title: 1, description: 1, vectorScore: 1 } }
-                ];
-
-                const textPipeline = [
-                    {
-                        $search: {
-                            index: "text_search_index",
-                            text: { query, path: ["description"], fuzzy: {} }
-                        }
-                    },
-                    { $project: { title: 1, description: 1, textScore: { $meta: "searchScore" } } }
-                ];
-
-                console.log('Running vector search pipeline...');
-                const vectorResults = await collection.aggregate(vectorPipeline).toArray();
-                console.log(`Vector search results: ${vectorResults.length}`);
-
-                console.log('Running text search pipeline...');
-                const textResults = await collection.aggregate(textPipeline).toArray();
-                console.log(`Text search results: ${textResults.length}`);
-
-                // Combine and score
-                const finalResults = combineResults(vectorResults, textResults);
-                results = finalResults.slice(0, 10); // Limit final results
-
-                console.log(`Hybrid search results: ${results.length} matches found.`);
+                const embedding = await generateQueryEmbedding(collection, query, DEFAULT_VECTOR_PATH, explain, res.locals.usage);
+
+                const fused = await runHybridSearch(collection, {
+                    queryVector: embedding,
+                    searchStage: buildBookSearchStage(query),
+                    project: { title: 1, author: 1, summary: 1, period: 1, keywords: 1 },
+                    ...vectorReadOptions(collection),
+                    candidateLimit: paging.window,
+                    numCandidates: paging.numCandidates,
+                    ...hybridOptions(req.body),
+                    explain
+                });
+                page = fromArray(fused, paging, { window: paging.window });
+
+                console.log(`Hybrid search results: ${page.results.length} matches found.`);
                 break;
             }
 
             default:
-                throw new Error(`Unsupported search type: ${type}`);
+                throw badRequest(`Unsupported search type: ${type}`, { field: 'type', allowed: ANCIENT_TEXT_SEARCH_TYPES });
         }
 
         const searchTime = (performance.now() - startTime).toFixed(2);
         console.log(`Search completed in ${searchTime}ms.`);
-        res.json({ results, searchTime });
+        res.json({
+            results: page.results,
+            pagination: page.pagination,
+            searchTime,
+            ...(explain.enabled && { explain: explain.report({ type, query, scores: explainScores(page.results) }) })
+        });
     } catch (error) {
         console.error('Error during ancient texts search:', error);
-        res.status(500).json({ error: 'Search failed', details: error.message });
+        sendError(res, error, 'Search failed');
     }
 });
 
 // Add this helper function for semantic search
-async function enhanceAncientQuery(query) {
+const ANCIENT_ENHANCEMENT_PROMPT = "You are an expert in ancient Egyptian texts and concepts. Convert the user's search query into a detailed description that captures the semantic meaning in the context of ancient Egyptian literature, philosophy, and religious concepts.";
+
+const ANCIENT_ENHANCEMENT_MODEL = "gpt-4-0125-preview";
+
+async function enhanceAncientQuery(query, usage = NO_USAGE) {
+    const model = ANCIENT_ENHANCEMENT_MODEL;
     try {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4-0125-preview",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert in ancient Egyptian texts and concepts. Convert the user's search query into a detailed description that captures the semantic meaning in the context of ancient Egyptian literature, philosophy, and religious concepts."
-                },
-                {
-                    role: "user",
-                    content: query
-                }
-            ],
-            max_tokens: 150,
-            temperature: 0.7
-        });
+        // Failures fall through to the catch below and are never cached
+        return await enhancementCache.wrap(`${model}:${hashText(ANCIENT_ENHANCEMENT_PROMPT).slice(0, 12)}`, query, async () => {
+            const completion = await openai.chat.completions.create({
+                model,
+                messages: [
+                    {
+                        role: "system",
+                        content: ANCIENT_ENHANCEMENT_PROMPT
+                    },
+                    {
+                        role: "user",
+                        content: query
+                    }
+                ],
+                max_tokens: 150,
+                temperature: 0.7
+            });
+            usage.chat(model, completion.usage);
 
-        return completion.choices[0].message.content;
+            return completion.choices[0].message.content;
+        });
     } catch (error) {
         console.error('Error enhancing query:', error);
         return query; // Fallback to original query if enhancement fails
     }
 }
 // Add this endpoint to get unique concepts
-app.get('/api/ancient-texts/concepts', async (req, res) => {
+app.get('/api/ancient-texts/concepts', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection("ancient_texts");
         const concepts = await collection.distinct("concepts");
         res.json(concepts);
     } catch (error) {
         console.error('Error fetching concepts:', error);
-        res.status(500).json({
-            error: 'Failed to fetch concepts',
-            details: error.message
-        });
+        sendError(res, error, 'Failed to fetch concepts');
     }
 });
 
-app.get('/api/ancient-texts/search-status', async (req, res) => {
+app.get('/api/ancient-texts/search-status', requireScope('admin'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection("ancient_texts");
         const indexes = await collection.listSearchIndexes().toArray();
@@ -1107,25 +1905,20 @@ app.get('/api/ancient-texts/search-status', async (req, res) => {
 
         res.json(status);
     } catch (error) {
-        res.status(500).json({
-            error: 'Failed to check search status',
-            details: error.message
-        });
+        console.error('Error checking search status:', error);
+        sendError(res, error, 'Failed to check search status');
     }
 });
 
 // Add this endpoint to get distinct eras
-app.get('/api/ancient-texts/eras', async (req, res) => {
+app.get('/api/ancient-texts/eras', requireScope('search'), rateLimit('cheap'), async (req, res) => {
     try {
         const collection = client.db(dbName).collection("ancient_texts");
         const eras = await collection.distinct("era");
         res.json(eras);
     } catch (error) {
         console.error('Error fetching eras:', error);
-        res.status(500).json({
-            error: 'Failed to fetch eras',
-            details: error.message
-        });
+        sendError(res, error, 'Failed to fetch eras');
     }
 });
 
@@ -1133,30 +1926,170 @@ app.get('/api/ancient-texts/eras', async (req, res) => {
 
 // Add these routes to your server.js with enhanced logging
 
-app.post('/api/atlas/test-connection', async (req, res) => {
-    console.log('Testing Atlas connection with details:', {
-        database: req.body.database,
-        collection: req.body.collection,
-        // Don't log full connection string for security
-        hasConnectionString: !!req.body.connectionString
-    });
+// Caller-supplied clusters: allowlisted public hosts, short timeouts, always closed
+const connectionGuard = createConnectionGuard(config.connectionGuard);
+
+// Saved clusters: encrypted connection strings, one pooled client per profile
+const connectionProfiles = createProfileStore({
+    ...config.connectionProfiles,
+    getCollection: () => client.db(dbName).collection(config.connectionProfiles.collection),
+    encryptionKey: parseEncryptionKey(config.connectionProfiles.encryptionKey),
+    guard: connectionGuard
+});
+
+// The tooling routes name their cluster with `profileId` or a `connectionString`
+function requireConnectionTarget({ connectionString, profileId }, field = '') {
+    if (Boolean(connectionString) === Boolean(profileId)) {
+        throw validationError(['connectionString', 'profileId'].map(name => ({
+            field: `${field}${name}`,
+            location: 'body',
+            message: 'pass either connectionString or profileId'
+        })));
+    }
+}
+
+const describeTarget = ({ connectionString, profileId }) => (profileId ? `profile ${profileId}` : redactConnectionString(connectionString));
+
+// `caller` is res.locals.apiKey: profiles are only usable by the key that saved them, or an admin key
+function withAtlasClient({ connectionString, profileId }, caller, fn) {
+    return profileId ? connectionProfiles.withClient(profileId, caller, fn) : connectionGuard.withClient(connectionString, fn);
+}
+
+app.post('/api/atlas/profiles', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ body: CONNECTION_PROFILE_BODY }), async (req, res) => {
+    try {
+        const profile = await connectionProfiles.create(req.body, res.locals.apiKey);
+        console.log(`Saved connection profile ${profile.name}: ${profile.cluster}`);
+        res.status(201).json(profile);
+    } catch (error) {
+        console.error('Error saving connection profile:', error.message);
+        sendError(res, error, 'Failed to save connection profile');
+    }
+});
+
+app.get('/api/atlas/profiles', requireScope('atlas-tools'), rateLimit('cheap'), async (req, res) => {
+    try {
+        res.json(await connectionProfiles.list(res.locals.apiKey));
+    } catch (error) {
+        console.error('Error listing connection profiles:', error);
+        sendError(res, error, 'Failed to list connection profiles');
+    }
+});
 
-    const { connectionString, database, collection } = req.body;
+app.get('/api/atlas/profiles/:id', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        res.json(await connectionProfiles.get(req.params.id, res.locals.apiKey));
+    } catch (error) {
+        console.error('Error fetching connection profile:', error);
+        sendError(res, error, 'Failed to fetch connection profile');
+    }
+});
 
+app.delete('/api/atlas/profiles/:id', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
     try {
-        // Create a new client for this connection
-        const testClient = new MongoClient(connectionString);
-        console.log('Attempting to connect to MongoDB...');
-        await testClient.connect();
-        console.log('Successfully connected to MongoDB');
+        if (!await connectionProfiles.remove(req.params.id, res.locals.apiKey)) {
+            throw notFound('Connection profile not found');
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting connection profile:', error);
+        sendError(res, error, 'Failed to delete connection profile');
+    }
+});
+
+// Search index management on our own cluster (admin) or a saved profile's (atlas-tools).
+// The collection is named in the query string, or in the body of creates and updates.
+const searchIndexes = createSearchIndexManager(config.searchIndexes);
+
+const SEARCH_INDEX_TARGETS = [
+    {
+        path: '/api/admin/search-indexes',
+        scope: 'admin',
+        limits: [],
+        params: {},
+        target: SEARCH_INDEX_TARGET,
+        withCollection: (req, res, { collection }, fn) => fn(client.db(dbName).collection(collection))
+    },
+    {
+        path: '/api/atlas/profiles/:id/search-indexes',
+        scope: 'atlas-tools',
+        limits: [rateLimit('cheap')],
+        params: ID_PARAMS,
+        target: PROFILE_SEARCH_INDEX_TARGET,
+        withCollection: (req, res, { database, collection }, fn) => connectionProfiles.withClient(req.params.id, res.locals.apiKey, profileClient =>
+            fn(profileClient.db(database).collection(collection)))
+    }
+];
 
-        // Get the collection
-        const db = testClient.db(database);
-        const coll = db.collection(collection);
+// 201 / 200 once the build is READY, 202 while it is still building
+const indexResultStatus = (result, created) => (!result.ready ? 202 : created ? 201 : 200);
 
+for (const { path, scope, limits, params, target, withCollection } of SEARCH_INDEX_TARGETS) {
+    const indexParams = { ...params, ...SEARCH_INDEX_NAME_PARAMS };
+    const splitTarget = body => {
+        const location = Object.fromEntries(Object.keys(target).map(field => [field, body[field]]));
+        const spec = Object.fromEntries(Object.entries(body).filter(([field]) => !(field in target)));
+        return { location, spec };
+    };
+
+    app.get(path, requireScope(scope), ...limits, validateRequest({ params, query: target }), async (req, res) => {
+        try {
+            res.json(await withCollection(req, res, req.query, collection => searchIndexes.list(collection)));
+        } catch (error) {
+            console.error('Error listing search indexes:', error.message);
+            sendError(res, error, 'Failed to list search indexes');
+        }
+    });
+
+    app.post(path, requireScope(scope), ...limits, validateRequest({ params, body: { ...target, ...SEARCH_INDEX_BODY } }), async (req, res) => {
+        try {
+            const { location, spec } = splitTarget(req.body);
+            const result = await withCollection(req, res, location, collection => searchIndexes.create(collection, spec));
+            console.log(`Search index ${spec.name} on ${location.collection}: ${result.index.status}`);
+            res.status(indexResultStatus(result, true)).json(result);
+        } catch (error) {
+            console.error('Error creating search index:', error.message);
+            sendError(res, error, 'Failed to create search index');
+        }
+    });
+
+    app.put(`${path}/:name`, requireScope(scope), ...limits, validateRequest({ params: indexParams, body: { ...target, ...UPDATE_SEARCH_INDEX_BODY } }), async (req, res) => {
+        try {
+            const { location, spec } = splitTarget(req.body);
+            const result = await withCollection(req, res, location, collection => searchIndexes.update(collection, req.params.name, spec));
+            console.log(`Search index ${req.params.name} on ${location.collection} updated: ${result.index.status}`);
+            res.status(indexResultStatus(result, false)).json(result);
+        } catch (error) {
+            console.error('Error updating search index:', error.message);
+            sendError(res, error, 'Failed to update search index');
+        }
+    });
+
+    app.delete(`${path}/:name`, requireScope(scope), ...limits, validateRequest({ params: indexParams, query: target }), async (req, res) => {
+        try {
+            await withCollection(req, res, req.query, collection => searchIndexes.drop(collection, req.params.name));
+            res.status(204).end();
+        } catch (error) {
+            console.error('Error dropping search index:', error.message);
+            sendError(res, error, 'Failed to drop search index');
+        }
+    });
+}
+
+app.post('/api/atlas/test-connection', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ body: ATLAS_CONNECTION_BODY }), async (req, res) => {
+    const { database, collection } = req.body;
+    console.log('Testing Atlas connection with details:', {
+        cluster: describeTarget(req.body),
+        database,
+        collection
+    });
+
+    try {
+        requireConnectionTarget(req.body);
         // Get sample document to analyze fields
         console.log('Fetching sample document...');
-        const sampleDoc = await coll.findOne({});
+        const sampleDoc = await withAtlasClient(req.body, res.locals.apiKey, testClient =>
+            testClient.db(database).collection(collection).findOne({})
+        );
         console.log('Sample document structure:', Object.keys(sampleDoc || {}));
 
         // Find potential vector fields (arrays of numbers)
@@ -1182,10 +2115,6 @@ app.post('/api/atlas/test-connection', async (req, res) => {
 
         console.log('Vector fields found:', fields);
 
-        // Close the test connection
-        await testClient.close();
-        console.log('Connection closed successfully');
-
         res.json({
             success: true,
             fields: fields,
@@ -1193,47 +2122,34 @@ app.post('/api/atlas/test-connection', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Connection test failed:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            errorDetails: {
-                name: error.name,
-                code: error.code,
-                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            }
-        });
+        console.error('Connection test failed:', error.message);
+        sendError(res, error, 'Connection test failed');
     }
 });
 
-app.post('/api/atlas/analyze-vectors', async (req, res) => {
+app.post('/api/atlas/analyze-vectors', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ body: ANALYZE_VECTORS_BODY }), async (req, res) => {
+    const { database, collection, vectorField, sampleSize } = req.body;
     console.log('Analyzing vectors with parameters:', {
-        database: req.body.database,
-        collection: req.body.collection,
-        vectorField: req.body.vectorField,
-        sampleSize: req.body.sampleSize
+        cluster: describeTarget(req.body),
+        database,
+        collection,
+        vectorField,
+        sampleSize
     });
 
-    const { connectionString, database, collection, vectorField, sampleSize = 100 } = req.body;
-
     try {
-        const testClient = new MongoClient(connectionString);
-        console.log('Connecting to MongoDB...');
-        await testClient.connect();
-        console.log('Successfully connected');
-
-        const db = testClient.db(database);
-        const coll = db.collection(collection);
-
+        requireConnectionTarget(req.body);
         console.log('Sampling documents...');
-        const documents = await coll.aggregate([
-            { $sample: { size: sampleSize } },
-            { $match: { [vectorField]: { $exists: true } } }
-        ]).toArray();
+        const documents = await withAtlasClient(req.body, res.locals.apiKey, testClient =>
+            testClient.db(database).collection(collection).aggregate([
+                { $sample: { size: sampleSize } },
+                { $match: { [vectorField]: { $exists: true } } }
+            ]).toArray()
+        );
         console.log(`Found ${documents.length} documents with vector field ${vectorField}`);
 
         if (documents.length === 0) {
-            throw new Error(`No documents found with vector field: ${vectorField}`);
+            throw notFound(`No documents found with vector field: ${vectorField}`);
         }
 
         // Calculate vector statistics
@@ -1249,9 +2165,6 @@ app.post('/api/atlas/analyze-vectors', async (req, res) => {
             embedding: doc[vectorField],
         }));
 
-        await testClient.close();
-        console.log('Connection closed');
-
         res.json({
             success: true,
             documents: processedDocs,
@@ -1259,16 +2172,8 @@ app.post('/api/atlas/analyze-vectors', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Vector analysis failed:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            errorDetails: {
-                name: error.name,
-                code: error.code,
-                stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-            }
-        });
+        console.error('Vector analysis failed:', error.message);
+        sendError(res, error, 'Vector analysis failed');
     }
 });
 
@@ -1326,15 +2231,11 @@ function calculateVectorStats(documents, vectorField) {
     return stats;
 }
 
-app.post('/api/embeddings/classify', async (req, res) => {
+app.post('/api/embeddings/classify', requireScope('atlas-tools'), rateLimit('expensive'), validateRequest({ body: CLASSIFY_BODY }), async (req, res) => {
     console.log('Classifying embeddings:', req.body);
 
     const { embeddings, context } = req.body;
 
-    if (!embeddings || embeddings.length === 0) {
-        return res.status(400).json({ error: 'No embeddings provided for classification.' });
-    }
-
     try {
         // Prepare the prompt
         const inputText = embeddings
@@ -1369,6 +2270,7 @@ app.post('/api/embeddings/classify', async (req, res) => {
             max_tokens: 1000,
             temperature: 0.7
         });
+        res.locals.usage.chat("gpt-4", completion.usage);
 
         const responseContent = completion.choices[0].message.content;
         console.log('Classification result:', responseContent);
@@ -1379,11 +2281,7 @@ app.post('/api/embeddings/classify', async (req, res) => {
         });
     } catch (error) {
         console.error('Error classifying embeddings:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to classify embeddings.',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-        });
+        sendError(res, error, 'Failed to classify embeddings');
     }
 });
 
@@ -1467,35 +2365,61 @@ function generateBackendCode(config) {
     }
   }
   
-  // Helper function to manage vector search index
+  // Helper function to manage vector search index: creates it, updates a definition
+  // that no longer matches, and waits until the index can be queried
   async function manageSearchIndex(collection) {
+    const vectorIndex = {
+      name: "vector_index",
+      type: "vectorSearch",
+      definition: {
+        fields: [{
+          type: "vector",
+          numDimensions: 1536,
+          path: "${config.selectedField}_embedding",
+          similarity: "${config.similarityMetric}"
+        }]
+      }
+    };
+    const [wanted] = vectorIndex.definition.fields;
+
     try {
-      // Check if index exists
-      const indexes = await collection.listSearchIndexes().toArray();
-      const existingIndex = indexes.find(idx => idx.name === "vector_index");
-  
-      if (existingIndex) {
-        console.log("Vector search index already exists");
-        return true;
+      const [existingIndex] = await collection.listSearchIndexes(vectorIndex.name).toArray();
+
+      if (!existingIndex) {
+        await collection.createSearchIndex(vectorIndex);
+        console.log("Created vector search index");
+      } else {
+        const current = (existingIndex.latestDefinition?.fields || []).find(field => field.type === "vector");
+        const matches = current
+          && current.path === wanted.path
+          && current.numDimensions === wanted.numDimensions
+          && current.similarity === wanted.similarity;
+        if (matches && existingIndex.queryable) {
+          console.log("Vector search index already exists");
+          return true;
+        }
+        if (!matches) {
+          await collection.updateSearchIndex(vectorIndex.name, vectorIndex.definition);
+          console.log("Updated vector search index definition");
+        }
       }
-  
-      // Create vector search index
-      const vectorIndex = {
-        name: "vector_index",
-        type: "vectorSearch",
-        definition: {
-          fields: [{
-            type: "vector",
-            numDimensions: 1536,
-            path: "${config.selectedField}_embedding",
-            similarity: "${config.similarityMetric}"
-          }]
+
+      // Index builds run in the background; wait up to 5 minutes
+      for (let attempt = 0; attempt < 60; attempt++) {
+        const [index] = await collection.listSearchIndexes(vectorIndex.name).toArray();
+        if (index?.status === "FAILED") {
+          console.error("Vector search index build failed:", index.statusDetail || index);
+          return false;
         }
-      };
-  
-      await collection.createSearchIndex(vectorIndex);
-      console.log("Created vector search index");
-      return true;
+        if (index?.status === "READY") {
+          console.log("Vector search index is ready");
+          return true;
+        }
+        console.log(\`Waiting for vector search index (\${index?.status || "PENDING"})...\`);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+      console.error("Timed out waiting for the vector search index");
+      return false;
     } catch (error) {
       console.error('Error managing search index:', error);
       return false;
@@ -1874,13 +2798,18 @@ function generateReadme(config) {
 }
 
 // Add the generate-code endpoint
-app.post('/api/atlas/generate-code', async (req, res) => {
+app.post('/api/atlas/generate-code', requireScope('atlas-tools'), rateLimit('cheap'), validateRequest({ body: GENERATE_CODE_BODY }), async (req, res) => {
     console.log('Generating code...');
     try {
         const { connectionDetails, selectedField, similarityMetric } = req.body;
+        // A saved profile's password stays on the server; the template gets a placeholder
+        const connectionString = connectionDetails.profileId
+            ? (await connectionProfiles.get(connectionDetails.profileId, res.locals.apiKey)).cluster.replace(':****@', ':<password>@')
+            : connectionDetails.connectionString;
 
         const config = {
             ...connectionDetails,
+            connectionString,
             selectedField,
             similarityMetric
         };
@@ -1895,16 +2824,18 @@ app.post('/api/atlas/generate-code', async (req, res) => {
         res.json(generatedCode);
     } catch (error) {
         console.error('Code generation error:', error);
-        res.status(500).json({
-            error: 'Failed to generate code',
-            details: error.message
-        });
+        sendError(res, error, 'Failed to generate code');
     }
 });
 
+// Unknown API routes and anything passed to next(error) share the error envelope
+app.use('/api', routeNotFound);
+app.use(errorHandler);
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('Shutting down gracefully...');
+    await connectionProfiles.close();
     await client.close();
     process.exit(0);
 });
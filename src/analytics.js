@@ -0,0 +1,217 @@
+// Query analytics: one event per search or ask-text call, plus the reporting aggregations
+import { hashText, normalizeText } from './cache.js';
+import { badRequest } from './errors.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const TOP_IDS = 10;
+
+export async function ensureAnalyticsIndexes(collection) {
+    // Whole events expire on their own; raw query text is removed earlier by purgeExpiredQueryText
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({ queryExpiresAt: 1 }, { sparse: true });
+    await collection.createIndex({ createdAt: -1, endpoint: 1, type: 1 });
+    await collection.createIndex({ queryHash: 1, createdAt: -1 });
+}
+
+// Drop the raw text of events older than the query retention period. The hash stays,
+// so reports still group repeated queries after the text is gone.
+export async function purgeExpiredQueryText(collection, now = new Date()) {
+    const { modifiedCount } = await collection.updateMany(
+        { queryExpiresAt: { $lte: now } },
+        { $unset: { query: '', queryExpiresAt: '' } }
+    );
+    return modifiedCount;
+}
+
+// Build the stored event for one request. `details` (res.locals.analytics) lets a
+// route override what cannot be read from the JSON body, e.g. for streamed answers.
+// `queryRetentionDays: 0` keeps no raw text at all; `eventRetentionDays: 0` keeps events forever.
+export function buildQueryEvent({ endpoint, input = {}, status, body, latencyMs, details = {} }, { queryRetentionDays, eventRetentionDays }, now = new Date()) {
+    const query = details.query ?? input.query ?? input.question;
+    const results = details.results ?? (Array.isArray(body?.results) ? body.results : body?.books);
+    const failed = status >= 400 || details.error;
+
+    const event = {
+        endpoint,
+        type: details.type ?? input.type ?? null,
+        status,
+        latencyMs,
+        createdAt: now,
+        ...(failed && { error: details.error || body?.details || body?.error || `HTTP ${status}` }),
+        ...(Array.isArray(results) && !failed && {
+            resultCount: results.length,
+            total: body?.pagination?.total ?? results.length,
+            topIds: results.slice(0, TOP_IDS).map(result => String(result._id))
+        }),
+        ...(eventRetentionDays > 0 && { expiresAt: new Date(now.getTime() + eventRetentionDays * DAY_MS) })
+    };
+
+    if (typeof query === 'string' && query.trim()) {
+        event.queryHash = hashText(normalizeText(query));
+        if (queryRetentionDays > 0) {
+            event.query = query;
+            event.queryExpiresAt = new Date(now.getTime() + queryRetentionDays * DAY_MS);
+        }
+    }
+    return event;
+}
+
+// `getCollection` is called lazily so the recorder can be built before the client connects.
+// Writes never block or fail the request they describe.
+export function createQueryAnalytics({ getCollection, enabled = true, queryRetentionDays = 30, eventRetentionDays = 180, logger = console }) {
+    const stats = { recorded: 0, errors: 0 };
+
+    async function record(event) {
+        try {
+            await getCollection().insertOne(event);
+            stats.recorded++;
+        } catch (error) {
+            stats.errors++;
+            logger.warn('Failed to record query event:', error.message);
+        }
+    }
+
+    // Route middleware: records the request once the response has been sent or the client left
+    function track(req, res, next) {
+        if (!enabled) return next();
+
+        const startTime = performance.now();
+        const json = res.json.bind(res);
+        res.json = body => {
+            res.locals.responseBody = body;
+            return json(body);
+        };
+        res.on('close', () => {
+            record(buildQueryEvent({
+                endpoint: req.route?.path ?? req.path,
+                input: req.body,
+                status: res.statusCode,
+                body: res.locals.responseBody,
+                latencyMs: performance.now() - startTime,
+                details: res.locals.analytics
+            }, { queryRetentionDays, eventRetentionDays }));
+        });
+        next();
+    }
+
+    return { track, record, stats: () => stats };
+}
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw badRequest(`"${field}" must be an ISO date`, { field });
+    }
+    return date;
+}
+
+// Report window and filters from a query string: from/to (ISO dates) or `hours` back
+// from now (default 24), optional endpoint and type, and a result limit.
+export function parseReportQuery(input = {}, now = new Date()) {
+    const to = input.to ? parseDate(input.to, 'to') : now;
+    let from;
+    if (input.from) {
+        from = parseDate(input.from, 'from');
+    } else {
+        const hours = input.hours === undefined ? 24 : Number(input.hours);
+        if (!(hours > 0)) {
+            throw badRequest('"hours" must be a positive number', { field: 'hours' });
+        }
+        from = new Date(to.getTime() - hours * 3600 * 1000);
+    }
+    if (from >= to) {
+        throw badRequest('"from" must be before "to"', { field: 'from' });
+    }
+
+    const limit = input.limit === undefined ? 20 : Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        throw badRequest('"limit" must be an integer between 1 and 100', { field: 'limit' });
+    }
+
+    const match = { createdAt: { $gte: from, $lt: to } };
+    if (input.endpoint) match.endpoint = String(input.endpoint);
+    if (input.type) match.type = String(input.type);
+    return { window: { from, to }, match, limit };
+}
+
+// Repeated queries grouped by normalized text. `query` is null once the raw text has expired.
+export function topQueries(collection, { match, limit }) {
+    return collection.aggregate([
+        { $match: { ...match, queryHash: { $exists: true } } },
+        {
+            $group: {
+                _id: '$queryHash',
+                query: { $max: '$query' },
+                count: { $sum: 1 },
+                zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+                errors: { $sum: { $cond: [{ $ifNull: ['$error', false] }, 1, 0] } },
+                avgLatencyMs: { $avg: '$latencyMs' },
+                types: { $addToSet: '$type' },
+                lastSeen: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { count: -1, lastSeen: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, queryHash: '$_id', query: { $ifNull: ['$query', null] }, count: 1, zeroResults: 1, errors: 1, avgLatencyMs: 1, types: 1, lastSeen: 1 } }
+    ]).toArray();
+}
+
+// Queries that succeeded but matched nothing
+export function zeroResultQueries(collection, { match, limit }) {
+    return collection.aggregate([
+        { $match: { ...match, resultCount: 0, queryHash: { $exists: true } } },
+        {
+            $group: {
+                _id: '$queryHash',
+                query: { $max: '$query' },
+                count: { $sum: 1 },
+                endpoints: { $addToSet: '$endpoint' },
+                types: { $addToSet: '$type' },
+                lastSeen: { $max: '$createdAt' }
+            }
+        },
+        { $sort: { count: -1, lastSeen: -1 } },
+        { $limit: limit },
+        { $project: { _id: 0, queryHash: '$_id', query: { $ifNull: ['$query', null] }, count: 1, endpoints: 1, types: 1, lastSeen: 1 } }
+    ]).toArray();
+}
+
+export function slowestQueries(collection, { match, limit }) {
+    return collection.find(match, {
+        sort: { latencyMs: -1 },
+        limit,
+        projection: { _id: 0, endpoint: 1, type: 1, query: 1, latencyMs: 1, resultCount: 1, status: 1, error: 1, createdAt: 1 }
+    }).toArray();
+}
+
+// Latency percentiles per endpoint and search type ($percentile needs MongoDB 7.0+)
+export function latencyByType(collection, { match }) {
+    return collection.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: { endpoint: '$endpoint', type: '$type' },
+                count: { $sum: 1 },
+                errors: { $sum: { $cond: [{ $ifNull: ['$error', false] }, 1, 0] } },
+                mean: { $avg: '$latencyMs' },
+                max: { $max: '$latencyMs' },
+                percentiles: { $percentile: { input: '$latencyMs', p: [0.5, 0.95, 0.99], method: 'approximate' } }
+            }
+        },
+        { $sort: { '_id.endpoint': 1, '_id.type': 1 } },
+        {
+            $project: {
+                _id: 0,
+                endpoint: '$_id.endpoint',
+                type: '$_id.type',
+                count: 1,
+                errors: 1,
+                mean: 1,
+                p50: { $arrayElemAt: ['$percentiles', 0] },
+                p95: { $arrayElemAt: ['$percentiles', 1] },
+                p99: { $arrayElemAt: ['$percentiles', 2] },
+                max: 1
+            }
+        }
+    ]).toArray();
+}
@@ -0,0 +1,141 @@
+// API keys with scopes, stored hashed in MongoDB
+import { createHash, randomBytes } from 'crypto';
+import { ObjectId } from 'mongodb';
+import { HttpError, badRequest, notFound, unauthorized } from './errors.js';
+
+// `admin` grants every other scope as well
+export const API_KEY_SCOPES = ['search', 'ask', 'admin', 'atlas-tools'];
+
+const KEY_PREFIX = 'vsk_';
+// lastUsedAt is written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Keys are 192 random bits, so a plain SHA-256 is enough: there is nothing to brute-force
+export const hashApiKey = key => createHash('sha256').update(key).digest('hex');
+
+export async function ensureApiKeyIndexes(collection) {
+    await collection.createIndex({ hash: 1 }, { unique: true });
+    await collection.createIndex({ createdAt: -1 });
+}
+
+function parseApiKeyId(id) {
+    if (!ObjectId.isValid(id)) {
+        throw badRequest('Invalid API key id', { field: 'id' });
+    }
+    return new ObjectId(id);
+}
+
+// Never return the hash; `prefix` is enough to tell keys apart
+const toPublicKey = ({ hash, ...apiKey }) => apiKey;
+
+const expiryFrom = (days, now) => (days ? new Date(now.getTime() + days * 24 * 3600 * 1000) : null);
+
+// The plain key is only ever returned here, once
+export async function issueApiKey(collection, { name, scopes, expiresInDays, rotatedFrom } = {}, now = new Date()) {
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw badRequest(`Unknown scopes: ${unknown.join(', ')}`, { field: 'scopes', allowed: API_KEY_SCOPES });
+    }
+
+    const key = KEY_PREFIX + randomBytes(24).toString('base64url');
+    const apiKey = {
+        name,
+        scopes: [...new Set(scopes)],
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: hashApiKey(key),
+        createdAt: now,
+        expiresAt: expiryFrom(expiresInDays, now),
+        revokedAt: null,
+        lastUsedAt: null,
+        ...(rotatedFrom && { rotatedFrom })
+    };
+    const { insertedId } = await collection.insertOne(apiKey);
+    return { key, apiKey: toPublicKey({ _id: insertedId, ...apiKey }) };
+}
+
+export async function listApiKeys(collection) {
+    return collection.find({}, { projection: { hash: 0 } }).sort({ createdAt: -1 }).toArray();
+}
+
+// Issue a replacement with the same name and scopes. The old key stops working now,
+// or after `graceMinutes` so clients can switch over.
+export async function rotateApiKey(collection, id, { graceMinutes = 0, expiresInDays } = {}, now = new Date()) {
+    const _id = parseApiKeyId(id);
+    const current = await collection.findOne({ _id, revokedAt: null });
+    if (!current) {
+        throw notFound('API key not found');
+    }
+
+    const issued = await issueApiKey(collection, { name: current.name, scopes: current.scopes, expiresInDays, rotatedFrom: _id }, now);
+    const graceEnds = new Date(now.getTime() + graceMinutes * 60 * 1000);
+    const retire = graceMinutes > 0
+        ? { expiresAt: current.expiresAt && current.expiresAt < graceEnds ? current.expiresAt : graceEnds }
+        : { revokedAt: now };
+    await collection.updateOne({ _id }, { $set: { ...retire, replacedBy: issued.apiKey._id } });
+    return issued;
+}
+
+// Revoked keys are kept for auditing
+export async function revokeApiKey(collection, id, now = new Date()) {
+    const { matchedCount } = await collection.updateOne({ _id: parseApiKeyId(id), revokedAt: null }, { $set: { revokedAt: now } });
+    return matchedCount > 0;
+}
+
+export async function findActiveApiKey(collection, key, now = new Date()) {
+    if (!key.startsWith(KEY_PREFIX)) return null;
+    return collection.findOne({
+        hash: hashApiKey(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+}
+
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`
+export function readApiKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.get('X-API-Key');
+}
+
+export const hasScope = (apiKey, scope) => apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+
+// requireScope(scope) is route middleware. Scopes listed in `openScopes` also let requests
+// without a key through; a key that is sent is still checked. The caller's key is left
+// on res.locals.apiKey as { _id, name, scopes }.
+export function createApiKeyAuth({ getCollection, openScopes = [], logger = console }) {
+    const challenge = (res, message) => {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return unauthorized(message);
+    };
+
+    const requireScope = scope => async (req, res, next) => {
+        try {
+            const key = readApiKey(req);
+            if (!key) {
+                return next(openScopes.includes(scope) ? undefined : challenge(res, 'An API key is required'));
+            }
+
+            const now = new Date();
+            const apiKey = await findActiveApiKey(getCollection(), key, now);
+            if (!apiKey) {
+                return next(challenge(res, 'Invalid, revoked or expired API key'));
+            }
+            if (!hasScope(apiKey, scope)) {
+                return next(new HttpError(403, `API key lacks the "${scope}" scope`, { required: scope }, 'insufficient_scope'));
+            }
+
+            res.locals.apiKey = { _id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+            if (!(apiKey.lastUsedAt > new Date(now.getTime() - TOUCH_INTERVAL_MS))) {
+                getCollection().updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+                    .catch(error => logger.warn('Failed to record API key use:', error.message));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    return { requireScope };
+}
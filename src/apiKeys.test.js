@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { createApiKeyAuth, findActiveApiKey, hasScope, hashApiKey, issueApiKey, readApiKey, rotateApiKey } from './apiKeys.js';
+
+// Enough of a MongoDB collection for the key functions: equality filters, null
+// matching missing fields, $gt and one level of $or
+function memoryCollection() {
+    const docs = [];
+    const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+        if (field === '$or') return condition.some(branch => matches(doc, branch));
+        const value = doc[field] ?? null;
+        if (condition && typeof condition === 'object' && '$gt' in condition) return value !== null && value > condition.$gt;
+        return String(value) === String(condition ?? null);
+    });
+    return {
+        docs,
+        async insertOne(doc) {
+            const insertedId = new ObjectId();
+            docs.push({ _id: insertedId, ...doc });
+            return { insertedId };
+        },
+        async findOne(filter) {
+            return docs.find(doc => matches(doc, filter)) || null;
+        },
+        async updateOne(filter, { $set }) {
+            const doc = docs.find(candidate => matches(candidate, filter));
+            if (doc) Object.assign(doc, $set);
+            return { matchedCount: doc ? 1 : 0 };
+        }
+    };
+}
+
+const request = headers => ({ get: name => headers[name.toLowerCase()] });
+
+function response() {
+    return { headers: {}, locals: {}, setHeader(name, value) { this.headers[name] = value; } };
+}
+
+// Run the middleware and resolve with what it passed to next()
+const run = (middleware, req, res) => new Promise(resolve => middleware(req, res, resolve));
+
+test('issued keys are stored hashed and returned in plain text once', async () => {
+    const collection = memoryCollection();
+    const { key, apiKey } = await issueApiKey(collection, { name: 'ci', scopes: ['search', 'search'] });
+
+    assert.match(key, /^vsk_/);
+    assert.equal(apiKey.hash, undefined);
+    assert.deepEqual(apiKey.scopes, ['search']);
+    assert.equal(collection.docs[0].hash, hashApiKey(key));
+    assert.ok(!JSON.stringify(collection.docs).includes(key));
+});
+
+test('unknown scopes are refused', async () => {
+    await assert.rejects(issueApiKey(memoryCollection(), { name: 'x', scopes: ['root'] }), { status: 400 });
+});
+
+test('expired and revoked keys are not active', async () => {
+    const collection = memoryCollection();
+    const now = new Date('2026-01-01T00:00:00Z');
+    const { key } = await issueApiKey(collection, { name: 'short', scopes: ['search'], expiresInDays: 1 }, now);
+
+    assert.ok(await findActiveApiKey(collection, key, now));
+    assert.equal(await findActiveApiKey(collection, key, new Date('2026-01-03T00:00:00Z')), null);
+    assert.equal(await findActiveApiKey(collection, 'not-a-key', now), null);
+
+    collection.docs[0].revokedAt = now;
+    assert.equal(await findActiveApiKey(collection, key, now), null);
+});
+
+test('rotation keeps the old key working for the grace period', async () => {
+    const collection = memoryCollection();
+    const now = new Date('2026-01-01T00:00:00Z');
+    const { key: oldKey, apiKey } = await issueApiKey(collection, { name: 'svc', scopes: ['ask'] }, now);
+    const { key: newKey } = await rotateApiKey(collection, apiKey._id, { graceMinutes: 10 }, now);
+
+    const later = new Date(now.getTime() + 5 * 60 * 1000);
+    assert.ok(await findActiveApiKey(collection, oldKey, later));
+    assert.equal(await findActiveApiKey(collection, oldKey, new Date(now.getTime() + 11 * 60 * 1000)), null);
+    assert.deepEqual((await findActiveApiKey(collection, newKey, later)).scopes, ['ask']);
+});
+
+test('readApiKey accepts a bearer token or X-API-Key', () => {
+    assert.equal(readApiKey(request({ authorization: 'Bearer vsk_abc ' })), 'vsk_abc');
+    assert.equal(readApiKey(request({ 'x-api-key': 'vsk_def' })), 'vsk_def');
+    assert.equal(readApiKey(request({})), undefined);
+});
+
+test('admin keys hold every scope', () => {
+    assert.ok(hasScope({ scopes: ['admin'] }, 'atlas-tools'));
+    assert.ok(!hasScope({ scopes: ['search'] }, 'ask'));
+});
+
+test('requireScope checks keys and lets keyless requests through open scopes only', async () => {
+    const collection = memoryCollection();
+    const { key } = await issueApiKey(collection, { name: 'reader', scopes: ['search'] });
+    const { requireScope } = createApiKeyAuth({ getCollection: () => collection, openScopes: ['search'] });
+
+    assert.equal(await run(requireScope('search'), request({}), response()), undefined);
+
+    const anonymous = response();
+    const missing = await run(requireScope('admin'), request({}), anonymous);
+    assert.equal(missing.status, 401);
+    assert.equal(anonymous.headers['WWW-Authenticate'], 'Bearer');
+
+    const invalid = await run(requireScope('search'), request({ 'x-api-key': 'vsk_unknown' }), response());
+    assert.equal(invalid.status, 401);
+
+    const forbidden = await run(requireScope('admin'), request({ 'x-api-key': key }), response());
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.code, 'insufficient_scope');
+
+    const allowed = response();
+    assert.equal(await run(requireScope('search'), request({ authorization: `Bearer ${key}` }), allowed), undefined);
+    assert.equal(allowed.locals.apiKey.name, 'reader');
+});
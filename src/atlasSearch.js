@@ -0,0 +1,134 @@
+// Atlas Search (full-text) helpers for the products collection
+
+export const PRODUCT_SEARCH_INDEX = 'product_search_index';
+
+// Per-field boosts applied to the fuzzy text clauses
+const FIELD_BOOSTS = {
+    title: 3,
+    category: 2,
+    description: 1
+};
+
+const AUTOCOMPLETE_BOOST = 2;
+const PHRASE_BOOST = 5;
+const HIGHLIGHT_PATHS = ['title', 'description', 'category'];
+
+// Index definition: title is indexed both as a string and as autocomplete tokens
+export const productSearchIndexDefinition = {
+    name: PRODUCT_SEARCH_INDEX,
+    definition: {
+        mappings: {
+            dynamic: false,
+            fields: {
+                title: [
+                    { type: 'string', analyzer: 'lucene.standard' },
+                    { type: 'autocomplete', tokenization: 'edgeGram', minGrams: 2, maxGrams: 15, foldDiacritics: true }
+                ],
+                description: { type: 'string', analyzer: 'lucene.english' },
+                category: { type: 'string', analyzer: 'lucene.standard' }
+            }
+        }
+    }
+};
+
+// Build the compound $search stage: fuzzy text per field, autocomplete on title
+// and an exact-phrase clause that lifts documents containing the query verbatim.
+export function buildProductSearchStage(query) {
+    const should = Object.entries(FIELD_BOOSTS).map(([path, boost]) => ({
+        text: {
+            query,
+            path,
+            fuzzy: { maxEdits: 1, prefixLength: 1 },
+            score: { boost: { value: boost } }
+        }
+    }));
+
+    should.push({
+        autocomplete: {
+            query,
+            path: 'title',
+            fuzzy: { maxEdits: 1, prefixLength: 1 },
+            score: { boost: { value: AUTOCOMPLETE_BOOST } }
+        }
+    });
+
+    // Single words are already covered by the text clauses
+    if (query.trim().split(/\s+/).length > 1) {
+        should.push({
+            phrase: {
+                query,
+                path: ['title', 'description'],
+                slop: 1,
+                score: { boost: { value: PHRASE_BOOST } }
+            }
+        });
+    }
+
+    return {
+        $search: {
+            index: PRODUCT_SEARCH_INDEX,
+            compound: {
+                should,
+                minimumShouldMatch: 1
+            },
+            highlight: { path: HIGHLIGHT_PATHS }
+        }
+    };
+}
+
+// Matches with score and highlights, best first (_id breaks ties so paging is stable)
+// `filter` is an MQL filter (see filters.js) applied to the matches before the limit
+export function buildProductSearchPipeline(query, { limit = 10, filter } = {}) {
+    return [
+        buildProductSearchStage(query),
+        ...(filter ? [{ $match: filter }] : []),
+        { $limit: limit },
+        {
+            $addFields: {
+                score: { $meta: 'searchScore' },
+                highlights: { $meta: 'searchHighlights' }
+            }
+        },
+        { $sort: { score: -1, _id: 1 } }
+    ];
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Turn Atlas highlight objects into snippets with the matched terms wrapped in <mark>.
+// Snippets are HTML: document text is escaped so only our <mark> tags are markup.
+export function formatHighlights(highlights = []) {
+    return highlights.map(({ path, texts, score }) => ({
+        path,
+        score,
+        snippet: texts
+            .map(({ value, type }) => (type === 'hit' ? `<mark>${escapeHtml(value)}</mark>` : escapeHtml(value)))
+            .join('')
+            .trim()
+    }));
+}
+
+// searchScore is unbounded, so scale it against the best hit to get a 0..1 score.
+// Pass `maxScore` when `results` is only one page of a larger result set.
+export function normalizeSearchScores(results, maxScore = Math.max(0, ...results.map(r => r.score || 0))) {
+    return results.map(r => ({
+        ...r,
+        rawScore: r.score,
+        score: maxScore > 0 ? r.score / maxScore : 0
+    }));
+}
+
+// Fuzzy full-text stage for the books collection (served by its `default` search index)
+export function buildBookSearchStage(query) {
+    return {
+        $search: {
+            index: 'default',
+            text: {
+                query,
+                path: ['keywords', 'title', 'summary'],
+                fuzzy: {}
+            }
+        }
+    };
+}
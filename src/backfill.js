@@ -0,0 +1,187 @@
+// Resumable, batched (re-)embedding of a collection's vector field
+import { estimateTokens } from './conversations.js';
+import { embeddingSourceText } from './documents.js';
+import { EMBEDDING_SOURCES, staleSources } from './embeddingSync.js';
+import { embeddingFields, embeddingMetaField } from './embeddings/index.js';
+
+// Source fields default to the ones the write API and the sync worker use for `target`
+export function resolveBackfillFields(collectionName, { source, target } = {}) {
+    const known = EMBEDDING_SOURCES[collectionName] || [];
+    const path = target || known[0]?.path;
+    const fields = source || known.find(s => s.path === path)?.fields;
+
+    if (!path || !fields || fields.length === 0) {
+        throw new Error(`No default fields for ${collectionName}; pass --source and --target`);
+    }
+    return { path, fields };
+}
+
+export function estimateCost(provider, tokens) {
+    if (provider.pricePerMillionTokens === undefined) return null;
+    return (tokens / 1e6) * provider.pricePerMillionTokens;
+}
+
+// 429s, 5xx and dropped connections are worth retrying; validation errors are not
+export function isRetryableError(error) {
+    const status = error.status ?? error.response?.status;
+    if (status === 429 || status >= 500) return true;
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+}
+
+function retryDelayMs(error, attempt, baseDelayMs) {
+    const headers = error.headers || {};
+    const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+        return Number(retryAfter) * 1000;
+    }
+    // Exponential backoff with jitter so parallel batches do not retry in lockstep
+    return baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function embedWithBackoff(provider, texts, { maxRetries = 6, baseDelayMs = 1000, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await provider.embed(texts);
+        } catch (error) {
+            if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+            const delay = retryDelayMs(error, attempt, baseDelayMs);
+            onRetry?.(error, attempt + 1, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+export const backfillJobId = (collectionName, path, provider) => `${collectionName}:${path}:${provider.model}`;
+
+// Only what staleness needs: source fields, vector metadata and one vector element
+function backfillProjection(fields, path) {
+    return {
+        ...Object.fromEntries(fields.map(field => [field, 1])),
+        [embeddingMetaField(path)]: 1,
+        [path]: { $slice: 1 }
+    };
+}
+
+// Walk the collection in _id order and embed documents whose vector at `path` is
+// missing, from another model, or built from different text (`force` re-embeds all).
+// Up to `concurrency` batches of `batchSize` documents are embedded at once; after
+// each round the last scanned _id is checkpointed, so an interrupted run resumes
+// there. With `dryRun` nothing is written and the result is an estimate.
+export async function runBackfill({
+    collection,
+    checkpoints,
+    provider,
+    fields,
+    path,
+    batchSize = 100,
+    concurrency = 2,
+    force = false,
+    dryRun = false,
+    restart = false,
+    limit,
+    retry,
+    logger = console
+}) {
+    const jobId = backfillJobId(collection.collectionName, path, provider);
+    const sources = [{ path, fields }];
+
+    // A finished job's checkpoint only records history; the next run is a fresh pass
+    let checkpoint = dryRun ? null : await checkpoints.findOne({ _id: jobId });
+    if (!dryRun && (restart || checkpoint?.completedAt)) {
+        await checkpoints.deleteOne({ _id: jobId });
+        checkpoint = null;
+    }
+
+    const totals = checkpoint?.totals || { scanned: 0, embedded: 0, skipped: 0, failed: 0, tokens: 0 };
+    if (checkpoint) {
+        logger.info(`Resuming ${jobId} after _id ${checkpoint.lastId} (${totals.scanned} scanned so far)`);
+    }
+
+    const query = checkpoint ? { _id: { $gt: checkpoint.lastId } } : {};
+    const cursor = collection.find(query).sort({ _id: 1 }).project(backfillProjection(fields, path));
+
+    let round = [];
+    let batch = [];
+    let lastId = checkpoint?.lastId;
+    let scannedThisRun = 0;
+
+    async function embedBatch(docs) {
+        const texts = docs.map(doc => doc.text);
+        try {
+            const { vectors, usage } = await embedWithBackoff(provider, texts, {
+                ...retry,
+                onRetry: (error, attempt, delay) =>
+                    logger.warn(`Embedding request failed (${error.status || error.code || error.message}); retry ${attempt} in ${Math.round(delay)} ms`)
+            });
+            await collection.bulkWrite(docs.map((doc, i) => ({
+                updateOne: { filter: { _id: doc._id }, update: { $set: embeddingFields(path, vectors[i], provider, doc.text) } }
+            })), { ordered: false });
+            totals.embedded += docs.length;
+            totals.tokens += usage?.total_tokens ?? texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+        } catch (error) {
+            totals.failed += docs.length;
+            logger.error(`Batch of ${docs.length} failed (${docs[0]._id}..${docs[docs.length - 1]._id}): ${error.message}`);
+        }
+    }
+
+    async function flushRound() {
+        if (batch.length > 0) {
+            round.push(batch);
+            batch = [];
+        }
+        if (!dryRun && round.length > 0) {
+            await Promise.all(round.map(embedBatch));
+        }
+        round = [];
+        if (!dryRun && lastId !== undefined) {
+            await checkpoints.updateOne(
+                { _id: jobId },
+                { $set: { lastId, totals, updatedAt: new Date() }, $setOnInsert: { startedAt: new Date() } },
+                { upsert: true }
+            );
+            logger.info(`${jobId}: ${totals.scanned} scanned, ${totals.embedded} embedded, ${totals.failed} failed`);
+        }
+    }
+
+    for await (const doc of cursor) {
+        if (limit && scannedThisRun >= limit) break;
+        scannedThisRun++;
+        totals.scanned++;
+        lastId = doc._id;
+
+        const stale = force ? { text: embeddingSourceText(doc, fields) } : staleSources(doc, sources, provider)[0];
+        if (!stale?.text) {
+            totals.skipped++;
+            continue;
+        }
+
+        if (dryRun) {
+            totals.embedded++;
+            totals.tokens += estimateTokens(stale.text);
+            continue;
+        }
+
+        batch.push({ _id: doc._id, text: stale.text });
+        if (batch.length >= batchSize) {
+            round.push(batch);
+            batch = [];
+            if (round.length >= concurrency) await flushRound();
+        }
+    }
+    await flushRound();
+
+    const complete = !limit || scannedThisRun < limit;
+    if (!dryRun && complete) {
+        await checkpoints.updateOne({ _id: jobId }, { $set: { completedAt: new Date() } }, { upsert: true });
+    }
+
+    return {
+        jobId,
+        dryRun,
+        complete,
+        ...totals,
+        estimatedCost: estimateCost(provider, totals.tokens)
+    };
+}
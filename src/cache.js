@@ -0,0 +1,113 @@
+// Two-tier cache: in-process LRU in front of a MongoDB collection with a TTL index
+import { createHash } from 'crypto';
+
+// Case and whitespace differences should not produce separate cache entries
+export const normalizeText = text => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const hashText = text => createHash('sha256').update(text).digest('hex');
+
+export function cacheKey(namespace, model, text) {
+    return `${namespace}:${model}:${hashText(normalizeText(text))}`;
+}
+
+// Create the TTL index that lets MongoDB expire entries on its own
+export async function ensureCacheIndexes(collection) {
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await collection.createIndex({ namespace: 1 });
+}
+
+// `getCollection` is called lazily so the cache can be built before the client connects
+export function createCache({ namespace, getCollection, enabled = true, maxEntries = 1000, ttlSeconds = 7 * 24 * 3600 }) {
+    const memory = new Map();
+    const stats = { memoryHits: 0, mongoHits: 0, misses: 0, writes: 0, errors: 0 };
+    const ttlMs = ttlSeconds * 1000;
+
+    function remember(key, value, expiresAt) {
+        memory.delete(key);
+        memory.set(key, { value, expiresAt });
+        // Map keeps insertion order, so the first key is the least recently used
+        while (memory.size > maxEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    async function get(key) {
+        const entry = memory.get(key);
+        if (entry) {
+            if (entry.expiresAt > Date.now()) {
+                remember(key, entry.value, entry.expiresAt);
+                stats.memoryHits++;
+                return entry.value;
+            }
+            memory.delete(key);
+        }
+
+        try {
+            const doc = await getCollection()?.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+            if (doc) {
+                remember(key, doc.value, doc.expiresAt.getTime());
+                stats.mongoHits++;
+                return doc.value;
+            }
+        } catch (error) {
+            stats.errors++;
+            console.warn(`Cache read failed for ${namespace}:`, error.message);
+        }
+
+        stats.misses++;
+        return undefined;
+    }
+
+    async function set(key, value, model) {
+        const expiresAt = Date.now() + ttlMs;
+        remember(key, value, expiresAt);
+        stats.writes++;
+
+        try {
+            await getCollection()?.updateOne(
+                { _id: key },
+                { $set: { namespace, model, value, expiresAt: new Date(expiresAt), updatedAt: new Date() } },
+                { upsert: true }
+            );
+        } catch (error) {
+            stats.errors++;
+            console.warn(`Cache write failed for ${namespace}:`, error.message);
+        }
+    }
+
+    // Return the cached value for (model, text), computing and storing it on a miss
+    async function wrap(model, text, compute) {
+        if (!enabled) {
+            return compute();
+        }
+        const key = cacheKey(namespace, model, text);
+        const cached = await get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+        const value = await compute();
+        await set(key, value, model);
+        return value;
+    }
+
+    function getStats() {
+        const hits = stats.memoryHits + stats.mongoHits;
+        const lookups = hits + stats.misses;
+        return {
+            namespace,
+            enabled,
+            ...stats,
+            hitRate: lookups > 0 ? Number((hits / lookups).toFixed(4)) : 0,
+            memoryEntries: memory.size,
+            maxEntries,
+            ttlSeconds
+        };
+    }
+
+    async function clear() {
+        memory.clear();
+        await getCollection()?.deleteMany({ namespace });
+    }
+
+    return { namespace, get, set, wrap, stats: getStats, clear };
+}
@@ -0,0 +1,96 @@
+// Numbered-passage context for Q&A and validation of the citation markers in answers
+
+const PASSAGE_FIELDS = ['summary', 'contents', 'significance'];
+const MAX_PASSAGE_CHARS = 500;
+const MARKER_PATTERN = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+export const CITATION_INSTRUCTIONS = 'Answer only from the numbered passages in the context. ' +
+    'After every sentence that states a fact, cite the passage(s) it comes from with markers like [2] or [1, 4]. ' +
+    'Only use passage numbers that appear in the context. If the passages do not contain the answer, say so.';
+
+// Split long text on sentence boundaries into chunks of at most MAX_PASSAGE_CHARS
+function splitPassages(text) {
+    const sentences = String(text).match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [];
+    const passages = [];
+    let current = '';
+
+    for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+        if (current && current.length + sentence.length + 1 > MAX_PASSAGE_CHARS) {
+            passages.push(current);
+            current = sentence;
+        } else {
+            current = current ? `${current} ${sentence}` : sentence;
+        }
+    }
+    if (current) passages.push(current);
+    return passages;
+}
+
+// Number every passage of every retrieved book. The numbers are what the model
+// cites, and `passages` maps each number back to its book and exact text.
+// A book with a `passages` array (passage retrieval) is used as-is.
+export function buildCitationContext(books, { fields = PASSAGE_FIELDS } = {}) {
+    const passages = new Map();
+    const sections = [];
+
+    for (const book of books) {
+        // Books retrieved passage-by-passage bring their own chunks; whole books are split here
+        const chunks = book.passages
+            ? book.passages.map(({ _id, field, text }) => ({ passageId: _id, field, text }))
+            : fields.filter(field => book[field]).flatMap(field => splitPassages(book[field]).map(text => ({ field, text })));
+
+        const lines = [];
+        for (const chunk of chunks) {
+            const marker = passages.size + 1;
+            passages.set(marker, { marker, _id: book._id, title: book.title, ...chunk });
+            lines.push(`[${marker}] ${chunk.text}`);
+        }
+        if (lines.length > 0) {
+            sections.push(`${book.title}\n${lines.join('\n')}`);
+        }
+    }
+
+    return { context: sections.join('\n\n'), passages };
+}
+
+function splitSentences(text) {
+    return text.match(/[^.!?\n]+(?:[.!?]+(?:\s*\[[\d,\s]+\])*)?/g)?.map(s => s.trim()).filter(Boolean) || [];
+}
+
+// Check the markers in a generated answer against the passages that were actually
+// in the prompt. Unknown markers are removed from the text; the rest are resolved
+// to their book _id and passage, and each sentence lists the markers backing it.
+export function annotateCitations(answer, passages) {
+    const removedMarkers = [];
+    const used = new Set();
+
+    const cleaned = String(answer || '').replace(MARKER_PATTERN, (match, list) => {
+        const numbers = list.split(',').map(n => Number(n.trim()));
+        const valid = numbers.filter(n => passages.has(n));
+        removedMarkers.push(...numbers.filter(n => !passages.has(n)));
+        valid.forEach(n => used.add(n));
+        return valid.length > 0 ? `${match.startsWith(' ') ? ' ' : ''}[${valid.join(', ')}]` : '';
+    }).replace(/ +([.,;:!?])/g, '$1');
+
+    const claims = splitSentences(cleaned).map(sentence => {
+        const markers = [...sentence.matchAll(MARKER_PATTERN)]
+            .flatMap(([, list]) => list.split(',').map(n => Number(n.trim())));
+        return {
+            sentence: sentence.replace(MARKER_PATTERN, '').trim(),
+            citations: [...new Set(markers)]
+        };
+    });
+
+    const citations = [...used]
+        .sort((a, b) => a - b)
+        .map(marker => passages.get(marker))
+        .map(({ marker, _id, title, field, text, passageId }) => ({ marker, bookId: _id, passageId, title, field, passage: text }));
+
+    return {
+        answer: cleaned,
+        citations,
+        claims,
+        uncitedClaims: claims.filter(claim => claim.citations.length === 0).length,
+        removedMarkers: [...new Set(removedMarkers)]
+    };
+}
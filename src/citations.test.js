@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annotateCitations, buildCitationContext } from './citations.js';
+
+const books = [
+    { _id: 'b1', title: 'Meditations', summary: 'Marcus Aurelius wrote private notes. They were never meant for publication.' },
+    { _id: 'b2', title: 'Republic', passages: [{ _id: 'p9', field: 'contents', text: 'Plato describes the ideal city.' }] }
+];
+
+test('buildCitationContext numbers the passages of every book', () => {
+    const { context, passages } = buildCitationContext(books);
+    assert.equal(passages.size, 2);
+    assert.match(context, /^Meditations\n\[1\] Marcus Aurelius/);
+    assert.match(context, /Republic\n\[2\] Plato describes the ideal city\./);
+    assert.deepEqual(passages.get(2), {
+        marker: 2, _id: 'b2', title: 'Republic', passageId: 'p9', field: 'contents', text: 'Plato describes the ideal city.'
+    });
+});
+
+test('annotateCitations resolves known markers and drops unknown ones', () => {
+    const { passages } = buildCitationContext(books);
+    const result = annotateCitations('Marcus wrote notes [1]. Plato imagined a city [2, 7]. Both were Greek [9].', passages);
+
+    assert.equal(result.answer, 'Marcus wrote notes [1]. Plato imagined a city [2]. Both were Greek.');
+    assert.deepEqual(result.removedMarkers, [7, 9]);
+    assert.deepEqual(result.citations.map(c => [c.marker, c.bookId, c.passageId]), [[1, 'b1', undefined], [2, 'b2', 'p9']]);
+    assert.deepEqual(result.claims.map(c => c.citations), [[1], [2], []]);
+    assert.equal(result.claims[1].sentence, 'Plato imagined a city.');
+    assert.equal(result.uncitedClaims, 1);
+});
+
+test('annotateCitations handles an empty answer', () => {
+    const result = annotateCitations('', new Map());
+    assert.deepEqual(result, { answer: '', citations: [], claims: [], uncitedClaims: 0, removedMarkers: [] });
+});
@@ -0,0 +1,236 @@
+// Checks connection strings supplied by API callers (the Atlas tooling) before the
+// server connects anywhere: allowed hosts only, no private networks, no options that
+// read local files or server credentials, and short timeouts.
+import { promises as dns } from 'dns';
+import { BlockList, isIP } from 'net';
+import { MongoClient } from 'mongodb';
+import { HttpError, badRequest } from './errors.js';
+
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 127, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const privateNetworks = new BlockList();
+for (const [network, prefix, type] of PRIVATE_RANGES) {
+    privateNetworks.addSubnet(network, prefix, type);
+}
+
+export const isPrivateAddress = address => privateNetworks.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// Options that make the driver read files on this server, use its cloud credentials
+// or tunnel past the host checks
+const BLOCKED_OPTIONS = ['tlscafile', 'tlscertificatekeyfile', 'tlscertificatekeyfilepassword', 'tlscrlfile', 'proxyhost', 'proxyport', 'proxyusername', 'proxypassword'];
+const BLOCKED_AUTH_MECHANISMS = ['mongodb-aws', 'mongodb-oidc', 'gssapi'];
+
+// mongodb[+srv]://[user[:password]@]host[:port][,host[:port]...][/database][?options]
+// Reserved characters in credentials are percent-encoded, so the first '/' or '?'
+// ends the authority.
+export function parseConnectionString(connectionString) {
+    const match = /^(mongodb(?:\+srv)?):\/\/([^/?]*)(\/[^?]*)?(?:\?(.*))?$/.exec(connectionString);
+    if (!match) {
+        throw badRequest('Connection string must start with mongodb:// or mongodb+srv://', { field: 'connectionString' });
+    }
+    const [, scheme, authority, path = '', query = ''] = match;
+    const at = authority.lastIndexOf('@');
+    const options = new URLSearchParams(query);
+    // An unencoded '/' or '?' in the password ends the authority early and leaves the
+    // rest of the password, up to its '@', in the path or the first option name.
+    // Option values may hold an '@' (e.g. a Kerberos principal).
+    if (at < 0 && (path.includes('@') || [...options.keys()].some(name => name.includes('@')))) {
+        throw badRequest('Percent-encode reserved characters (: / ? # [ ] @) in the username and password', { field: 'connectionString' });
+    }
+    const userInfo = at >= 0 ? authority.slice(0, at) : '';
+    const hosts = authority.slice(at + 1).split(',').filter(Boolean).map(hostPort => {
+        const bracketed = /^\[([^\]]+)\](?::(\d+))?$/.exec(hostPort);
+        const [host, port] = bracketed ? bracketed.slice(1) : hostPort.split(':');
+        return { host: host.toLowerCase(), port: port ? Number(port) : undefined };
+    });
+    if (hosts.length === 0 || hosts.some(({ host }) => !host)) {
+        throw badRequest('Connection string has no host', { field: 'connectionString' });
+    }
+    if (hosts.some(({ port }) => port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536))) {
+        throw badRequest('Connection string has an invalid port', { field: 'connectionString' });
+    }
+
+    const [username, password] = userInfo ? userInfo.split(/:(.*)/s) : [];
+    return {
+        srv: scheme === 'mongodb+srv',
+        scheme,
+        username,
+        password,
+        hosts,
+        path,
+        options
+    };
+}
+
+// The connection string with its password replaced, safe for logs and responses
+export function redactConnectionString(connectionString) {
+    try {
+        const { scheme, username, password, hosts, path, options } = parseConnectionString(connectionString);
+        const user = username ? `${username}${password !== undefined ? ':****' : ''}@` : '';
+        const query = options.toString();
+        const hostList = hosts.map(({ host, port }) => {
+            const name = host.includes(':') ? `[${host}]` : host;
+            return port ? `${name}:${port}` : name;
+        });
+        return `${scheme}://${user}${hostList.join(',')}${path}${query ? `?${query}` : ''}`;
+    } catch {
+        return '[unparseable connection string]';
+    }
+}
+
+// '*.mongodb.net' matches any subdomain; other patterns match exactly. An empty list allows every host.
+const hostAllowed = (host, patterns) => patterns.length === 0 || patterns.some(pattern => (pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1)) && host.length > pattern.length - 1
+    : host === pattern));
+
+function notAllowed(message, details) {
+    return new HttpError(403, message, details, 'connection_not_allowed');
+}
+
+const safeDecode = value => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+// Driver errors caused by the connection string itself rather than the cluster
+const CLIENT_ERRORS = ['MongoParseError', 'MongoInvalidArgumentError', 'MongoAPIError'];
+
+const mongoErrorName = error => typeof error?.name === 'string' && error.name.startsWith('Mongo');
+
+// createConnectionGuard(options) -> { check, connect, withClient, sanitize }.
+//   check(connectionString)               throws unless the string passes every rule
+//   connect(connectionString)             a connected client with the guard's timeouts
+//   withClient(connectionString, fn)      runs fn(client) and always closes the client
+//   sanitize(error, connectionString)     driver errors as 400s / 502s with the password removed
+// connect and withClient sanitize their own errors.
+export function createConnectionGuard({
+    allowedHosts = [],
+    allowedSrvHosts = [],
+    blockPrivateNetworks = true,
+    serverSelectionTimeoutMS = 5000,
+    connectTimeoutMS = 5000,
+    socketTimeoutMS = 20000,
+    resolver = dns
+} = {}) {
+    async function assertPublic(host) {
+        const addresses = isIP(host) ? [{ address: host }] : await resolver.lookup(host, { all: true }).catch(() => {
+            throw badRequest(`Could not resolve host ${host}`, { field: 'connectionString', host });
+        });
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            throw notAllowed(`Host ${host} resolves to a private network address`, { host });
+        }
+    }
+
+    async function check(connectionString) {
+        const parsed = parseConnectionString(connectionString);
+
+        for (const [name, value] of parsed.options.entries()) {
+            if (BLOCKED_OPTIONS.includes(name.toLowerCase())
+                || (name.toLowerCase() === 'authmechanism' && BLOCKED_AUTH_MECHANISMS.includes(value.toLowerCase()))) {
+                throw notAllowed(`Connection option ${name} is not allowed`, { option: name });
+            }
+        }
+
+        let hosts = parsed.hosts.map(({ host }) => host);
+        if (hosts.some(host => host.includes('%2f') || host.endsWith('.sock'))) {
+            throw notAllowed('Unix domain sockets are not allowed');
+        }
+        if (parsed.srv) {
+            const [srvHost] = hosts;
+            if (hosts.length > 1 || parsed.hosts[0].port) {
+                throw badRequest('mongodb+srv:// takes a single host name without a port', { field: 'connectionString' });
+            }
+            if (!hostAllowed(srvHost, allowedSrvHosts)) {
+                throw notAllowed(`SRV host ${srvHost} is not in the allowlist`, { host: srvHost, allowed: allowedSrvHosts });
+            }
+            if (blockPrivateNetworks) {
+                const records = await resolver.resolveSrv(`_mongodb._tcp.${srvHost}`).catch(() => {
+                    throw badRequest(`No SRV records for ${srvHost}`, { field: 'connectionString', host: srvHost });
+                });
+                hosts = records.map(record => record.name.toLowerCase());
+            }
+        } else {
+            const refused = hosts.find(host => !hostAllowed(host, allowedHosts));
+            if (refused) {
+                throw notAllowed(`Host ${refused} is not in the allowlist`, { host: refused, allowed: allowedHosts });
+            }
+            if (allowedHosts.length === 0 && hosts.length > 1) {
+                throw notAllowed('Only one host is allowed while CONNECTION_ALLOWED_HOSTS is empty', { hosts });
+            }
+        }
+
+        // The driver resolves the names again when it connects; this catches names that
+        // point inside our network, not an attacker who changes DNS in between.
+        // Only the listed hosts are checked, not the replica set members a cluster reports
+        // back, so without a host allowlist mongodb:// connections are pinned to their one
+        // host (directConnection). SRV clusters cannot be pinned: keep an SRV allowlist.
+        if (blockPrivateNetworks) {
+            await Promise.all(hosts.map(assertPublic));
+        }
+        return parsed;
+    }
+
+    function sanitize(error, connectionString) {
+        if (!mongoErrorName(error)) return error;
+        const { password } = parseConnectionString(connectionString);
+        let message = error.message;
+        for (const secret of [password, password && safeDecode(password)].filter(Boolean)) {
+            message = message.split(secret).join('****');
+        }
+        if (CLIENT_ERRORS.includes(error.name)) {
+            return badRequest(`Invalid connection string: ${message}`, { field: 'connectionString' });
+        }
+        return new HttpError(502, 'The cluster returned an error', message, 'upstream_error');
+    }
+
+    async function connect(connectionString, options = {}) {
+        const { srv } = await check(connectionString);
+        let client;
+        try {
+            client = new MongoClient(connectionString, {
+                serverSelectionTimeoutMS,
+                connectTimeoutMS,
+                socketTimeoutMS,
+                ...options,
+                ...(!srv && allowedHosts.length === 0 && { directConnection: true })
+            });
+            await client.connect();
+            return client;
+        } catch (error) {
+            await client?.close().catch(() => {});
+            throw sanitize(error, connectionString);
+        }
+    }
+
+    async function withClient(connectionString, fn) {
+        const client = await connect(connectionString, { maxPoolSize: 1 });
+        try {
+            return await fn(client);
+        } catch (error) {
+            throw sanitize(error, connectionString);
+        } finally {
+            await client.close().catch(() => {});
+        }
+    }
+
+    return { check, connect, withClient, sanitize };
+}
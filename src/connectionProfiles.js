@@ -0,0 +1,224 @@
+// Saved Atlas connection profiles. Connection strings are encrypted at rest with a
+// server-side key (AES-256-GCM) and only decrypted to connect; callers see them masked.
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { ObjectId } from 'mongodb';
+import { HttpError, badRequest, notFound } from './errors.js';
+import { redactConnectionString } from './connectionGuard.js';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// CONNECTION_PROFILE_KEY: 32 bytes as 64 hex characters or base64
+export function parseEncryptionKey(value) {
+    if (!value) return null;
+    const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('CONNECTION_PROFILE_KEY must be 32 bytes, as 64 hex characters or base64');
+    }
+    return key;
+}
+
+// Identifies the key a secret was sealed with, so a changed key fails clearly
+const keyIdOf = key => createHash('sha256').update(key).digest('hex').slice(0, 12);
+
+export function encryptSecret(plaintext, key) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        keyId: keyIdOf(key),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+export function decryptSecret(sealed, key) {
+    if (sealed.keyId !== keyIdOf(key)) {
+        throw new HttpError(500, 'Connection profile was encrypted with a different key');
+    }
+    const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Names are unique per owner, so two keys can each have a "prod" profile
+export async function ensureProfileIndexes(collection) {
+    await collection.createIndex({ ownerKeyId: 1, name: 1 }, { unique: true });
+}
+
+function parseProfileId(id) {
+    if (!ObjectId.isValid(id)) {
+        throw badRequest('Invalid connection profile id', { field: 'profileId' });
+    }
+    return new ObjectId(id);
+}
+
+// Everything but the sealed connection string
+const PUBLIC_FIELDS = { secret: 0 };
+
+// A profile belongs to the API key that saved it (res.locals.apiKey, the `caller` of
+// every store method); admin keys reach every profile. Profiles saved without a key
+// are shared by keyless callers only.
+const ownerFilter = caller => (caller?.scopes.includes('admin') ? {} : { ownerKeyId: caller?._id ?? null });
+
+// createProfileStore(options) -> { create, list, get, remove, connectionString, withClient, close }.
+// Clients are pooled per profile: reused while in use, closed after `idleMinutes`
+// without use, and the least recently used one is closed beyond `maxClients`.
+// Deleting a profile evicts its client, which closes once its last request is done.
+export function createProfileStore({
+    getCollection,
+    encryptionKey,
+    guard,
+    poolSize = 5,
+    maxClients = 20,
+    idleMinutes = 10,
+    logger = console
+}) {
+    const pool = new Map();
+
+    function requireKey() {
+        if (!encryptionKey) {
+            throw new HttpError(503, 'Connection profiles are disabled: set CONNECTION_PROFILE_KEY');
+        }
+        return encryptionKey;
+    }
+
+    async function create({ name, connectionString }, caller) {
+        const key = requireKey();
+        await guard.check(connectionString);
+
+        const now = new Date();
+        const profile = {
+            name,
+            cluster: redactConnectionString(connectionString),
+            secret: encryptSecret(connectionString, key),
+            createdAt: now,
+            updatedAt: now,
+            lastUsedAt: null,
+            ownerKeyId: caller?._id ?? null
+        };
+        try {
+            const { insertedId } = await getCollection().insertOne(profile);
+            const { secret, ...rest } = profile;
+            return { _id: insertedId, ...rest };
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new HttpError(409, `A connection profile named "${name}" already exists`, { field: 'name' });
+            }
+            throw error;
+        }
+    }
+
+    const list = caller => getCollection().find(ownerFilter(caller), { projection: PUBLIC_FIELDS }).sort({ name: 1 }).toArray();
+
+    async function get(id, caller) {
+        const profile = await getCollection().findOne({ _id: parseProfileId(id), ...ownerFilter(caller) }, { projection: PUBLIC_FIELDS });
+        if (!profile) {
+            throw notFound('Connection profile not found');
+        }
+        return profile;
+    }
+
+    async function closeEntry(entry) {
+        try {
+            await (await entry.client).close();
+        } catch {
+            // The connection never opened, or is already gone
+        }
+    }
+
+    async function closeClient(id) {
+        const entry = pool.get(id);
+        if (!entry) return;
+        pool.delete(id);
+        clearTimeout(entry.idleTimer);
+        await closeEntry(entry);
+    }
+
+    // Take the client out of the pool; requests still using it finish first
+    async function evictClient(id) {
+        const entry = pool.get(id);
+        if (!entry) return;
+        pool.delete(id);
+        clearTimeout(entry.idleTimer);
+        entry.evicted = true;
+        if (entry.active === 0) await closeEntry(entry);
+    }
+
+    async function remove(id, caller) {
+        const { deletedCount } = await getCollection().deleteOne({ _id: parseProfileId(id), ...ownerFilter(caller) });
+        if (deletedCount > 0) await evictClient(String(id));
+        return deletedCount > 0;
+    }
+
+    // The decrypted string, for connecting only: never log it or send it back
+    async function connectionString(id, caller) {
+        const key = requireKey();
+        const profile = await getCollection().findOne({ _id: parseProfileId(id), ...ownerFilter(caller) });
+        if (!profile) {
+            throw notFound('Connection profile not found');
+        }
+        return decryptSecret(profile.secret, key);
+    }
+
+    function scheduleIdleClose(id, entry) {
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = setTimeout(() => {
+            if (entry.active === 0 && pool.get(id) === entry) closeClient(id);
+        }, idleMinutes * 60 * 1000);
+        entry.idleTimer.unref?.();
+    }
+
+    async function acquire(id, uri) {
+        let entry = pool.get(id);
+        if (!entry) {
+            if (pool.size >= maxClients) {
+                const [oldest] = [...pool.entries()]
+                    .filter(([, candidate]) => candidate.active === 0)
+                    .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+                if (oldest) await closeClient(oldest[0]);
+            }
+            entry = { client: guard.connect(uri, { maxPoolSize: poolSize }), active: 0, lastUsed: Date.now() };
+            pool.set(id, entry);
+            // A failed connect is not kept, so the next call retries
+            entry.client.catch(() => {
+                if (pool.get(id) === entry) pool.delete(id);
+            });
+        }
+        entry.active += 1;
+        entry.lastUsed = Date.now();
+        try {
+            return { entry, client: await entry.client };
+        } catch (error) {
+            entry.active -= 1;
+            throw error;
+        }
+    }
+
+    // Run fn(client) on the profile's pooled client
+    async function withClient(id, caller, fn) {
+        const uri = await connectionString(id, caller);
+        const key = String(id);
+        const { entry, client } = await acquire(key, uri);
+        getCollection().updateOne({ _id: parseProfileId(id) }, { $set: { lastUsedAt: new Date() } })
+            .catch(error => logger.warn('Failed to record connection profile use:', error.message));
+        try {
+            return await fn(client);
+        } catch (error) {
+            throw guard.sanitize(error, uri);
+        } finally {
+            entry.active -= 1;
+            if (!entry.evicted) {
+                scheduleIdleClose(key, entry);
+            } else if (entry.active === 0) {
+                closeEntry(entry);
+            }
+        }
+    }
+
+    async function close() {
+        await Promise.all([...pool.keys()].map(closeClient));
+    }
+
+    return { create, list, get, remove, connectionString, withClient, close };
+}
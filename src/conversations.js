@@ -0,0 +1,127 @@
+// Conversation sessions for multi-turn Q&A, stored in MongoDB
+import { createHash, randomBytes } from 'crypto';
+import { ObjectId } from 'mongodb';
+import { badRequest } from './errors.js';
+
+// Rough token estimate (~4 characters per token for English). Good enough for a
+// budget cap without pulling in a tokenizer.
+export const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+// Keep the most recent messages that fit in `maxTokens`, never splitting a message
+export function trimHistory(messages = [], maxTokens) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const tokens = estimateTokens(messages[i].content);
+        if (used + tokens > maxTokens) break;
+        kept.unshift(messages[i]);
+        used += tokens;
+    }
+    return kept;
+}
+
+export const toChatMessages = history => history.map(({ role, content }) => ({ role, content }));
+
+const REWRITE_PROMPT = 'Rewrite the user\'s latest question as a single standalone question that can be understood ' +
+    'without the conversation, resolving pronouns and references like "it" or "that text" from the history. ' +
+    'Reply with the rewritten question only. If it is already standalone, repeat it unchanged.';
+
+export function buildRewriteMessages(history, question) {
+    const transcript = history
+        .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${content}`)
+        .join('\n');
+
+    return [
+        { role: 'system', content: REWRITE_PROMPT },
+        { role: 'user', content: `Conversation:\n${transcript}\n\nLatest question: ${question}` }
+    ];
+}
+
+export function parseSessionId(id) {
+    if (!ObjectId.isValid(id)) {
+        throw badRequest('Invalid session id', { field: 'sessionId' });
+    }
+    return new ObjectId(id);
+}
+
+// A session belongs to the API key that created it. Sessions created without a key get a
+// random token instead, returned once by createSession; callers send it back as
+// X-Session-Token. `owner` is { apiKeyId, token } from the request.
+const hashSessionToken = token => createHash('sha256').update(token).digest('hex');
+
+// Filter matching only the owner's sessions; null when the caller can own none
+function ownerFilter({ apiKeyId, token } = {}) {
+    if (apiKeyId) return { ownerKeyId: apiKeyId };
+    if (token) return { ownerTokenHash: hashSessionToken(token) };
+    return null;
+}
+
+export async function ensureSessionIndexes(collection) {
+    await collection.createIndex({ ownerKeyId: 1, updatedAt: -1 });
+    await collection.createIndex({ ownerTokenHash: 1 });
+}
+
+export async function createSession(collection, { title } = {}, { apiKeyId } = {}) {
+    const now = new Date();
+    const token = apiKeyId ? undefined : randomBytes(24).toString('base64url');
+    const session = { title: title || 'New conversation', messages: [], createdAt: now, updatedAt: now };
+    const owner = apiKeyId ? { ownerKeyId: apiKeyId } : { ownerTokenHash: hashSessionToken(token) };
+    const { insertedId } = await collection.insertOne({ ...session, ...owner });
+    return { _id: insertedId, ...session, ...(token && { sessionToken: token }) };
+}
+
+export async function listSessions(collection, owner, { limit = 50 } = {}) {
+    const filter = ownerFilter(owner);
+    if (!filter) return [];
+    return collection.aggregate([
+        { $match: filter },
+        { $sort: { updatedAt: -1 } },
+        { $limit: limit },
+        {
+            $project: {
+                title: 1,
+                createdAt: 1,
+                updatedAt: 1,
+                messageCount: { $size: '$messages' }
+            }
+        }
+    ]).toArray();
+}
+
+export async function getSession(collection, id, owner) {
+    const _id = parseSessionId(id);
+    const filter = ownerFilter(owner);
+    if (!filter) return null;
+    return collection.findOne({ _id, ...filter }, { projection: { ownerTokenHash: 0 } });
+}
+
+export async function deleteSession(collection, id, owner) {
+    const _id = parseSessionId(id);
+    const filter = ownerFilter(owner);
+    if (!filter) return false;
+    const { deletedCount } = await collection.deleteOne({ _id, ...filter });
+    return deletedCount > 0;
+}
+
+// Append one question/answer exchange, keeping only the newest `maxMessages` messages.
+// The first question becomes the title of an untitled session.
+export async function appendTurn(collection, session, userMessage, assistantMessage, { maxMessages } = {}) {
+    const now = new Date();
+    const update = {
+        $push: {
+            messages: {
+                $each: [
+                    { role: 'user', createdAt: now, ...userMessage },
+                    { role: 'assistant', createdAt: now, ...assistantMessage }
+                ],
+                ...(maxMessages && { $slice: -maxMessages })
+            }
+        },
+        $set: { updatedAt: now }
+    };
+    if (session.messages.length === 0 && session.title === 'New conversation') {
+        update.$set.title = userMessage.content.slice(0, 80);
+    }
+    await collection.updateOne({ _id: session._id }, update);
+}
@@ -0,0 +1,60 @@
+// Small RFC 4180 CSV parser: quoted fields, doubled quotes and newlines inside quotes
+
+export function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Ignore blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// First row is the header; returns one object per data row (empty cells are omitted)
+export function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+    const columns = header.map(name => name.trim());
+
+    return rows.map(cells => Object.fromEntries(
+        columns
+            .map((column, i) => [column, cells[i]])
+            .filter(([column, value]) => column && value !== undefined && value !== '')
+    ));
+}
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRows } from './csv.js';
+
+test('parseCsvRows handles quotes, doubled quotes, embedded newlines and CRLF', () => {
+    const rows = parseCsvRows('\uFEFFa,b\r\n"x, y","say ""hi"""\n"two\nlines",\n\n');
+    assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['two\nlines', '']]);
+});
+
+test('parseCsvRows rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsvRows('a,"b\n'), /Unterminated quoted field/);
+});
+
+test('parseCsv maps rows to objects by header and omits empty cells', () => {
+    assert.deepEqual(parseCsv(' title ,price,image\nLamp,12.5,\nDesk,80'), [
+        { title: 'Lamp', price: '12.5' },
+        { title: 'Desk', price: '80' }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+});
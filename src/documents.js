@@ -0,0 +1,220 @@
+// Validated writes for products and books, embedding each document on the way in
+import { ObjectId } from 'mongodb';
+import { hashText } from './cache.js';
+import { parseCsv } from './csv.js';
+import { embeddingFields, embeddingMetaField } from './embeddings/index.js';
+import { HttpError, badRequest, validationError } from './errors.js';
+import { validate } from './schema.js';
+
+const PRODUCT_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 300 },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    category: { type: 'string', required: true, maxLength: 100 },
+    price: { type: 'number', required: true, min: 0 },
+    image: { type: 'string', maxLength: 2000 }
+};
+
+const BOOK_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 300 },
+    author: { type: 'string', maxLength: 300 },
+    summary: { type: 'string', required: true, maxLength: 20000 },
+    period: { type: 'string', maxLength: 100 },
+    date: { type: 'string', maxLength: 100 },
+    contents: { type: 'string', maxLength: 100000 },
+    significance: { type: 'string', maxLength: 20000 },
+    keywords: { type: 'array', maxLength: 50, items: { type: 'string', maxLength: 100 } },
+    references: { type: 'array', maxLength: 100, items: { type: 'string', maxLength: 1000 } }
+};
+
+// `fields` are concatenated (in order) into the text behind the vector at `vectorPath`.
+// Products embed the same text as seedSampleData; books embed their summary like the
+// seeded ancient texts, so documents written here rank alongside the existing ones.
+export const DOCUMENT_TYPES = {
+    product: {
+        label: 'Product',
+        schema: PRODUCT_SCHEMA,
+        vectorPath: 'description_embedding',
+        sourceFields: ['title', 'description', 'category'],
+        derived: doc => ({ searchableTitle: doc.title })
+    },
+    book: {
+        label: 'Book',
+        schema: BOOK_SCHEMA,
+        vectorPath: 'description_embedding',
+        sourceFields: ['summary'],
+        derived: () => ({})
+    }
+};
+
+function documentType(kind) {
+    const type = DOCUMENT_TYPES[kind];
+    if (!type) {
+        throw new Error(`Unknown document type "${kind}"`);
+    }
+    return type;
+}
+
+export function embeddingSourceText(doc, fields) {
+    return fields.map(field => doc[field]).filter(Boolean).join(' ').trim();
+}
+
+export function parseDocumentId(id) {
+    if (!ObjectId.isValid(id)) {
+        throw badRequest('Invalid document id', { field: 'id' });
+    }
+    return new ObjectId(id);
+}
+
+// Validate a document body; `coerce` is used for CSV rows where every cell is a string
+export function validateDocument(kind, input, { coerce = false } = {}) {
+    const { value, errors } = validate(documentType(kind).schema, input, { coerce });
+    if (errors.length > 0) {
+        throw validationError(errors, `Invalid ${kind}`);
+    }
+    return value;
+}
+
+// Strip stored vectors (and their metadata) before returning a document to clients
+export function toPublicDocument(kind, doc) {
+    const { vectorPath } = documentType(kind);
+    const { [vectorPath]: _vector, [embeddingMetaField(vectorPath)]: _meta, ...rest } = doc;
+    return rest;
+}
+
+function buildDocument(kind, fields, vector, provider, { dateAdded } = {}) {
+    const type = documentType(kind);
+    const now = new Date();
+    return {
+        ...fields,
+        ...type.derived(fields),
+        ...embeddingFields(type.vectorPath, vector, provider, embeddingSourceText(fields, type.sourceFields)),
+        metadata: { dateAdded: dateAdded || now, lastUpdated: now }
+    };
+}
+
+export async function insertDocument(collection, kind, input, { embed, provider }) {
+    const type = documentType(kind);
+    const fields = validateDocument(kind, input);
+    const vector = await embed(embeddingSourceText(fields, type.sourceFields));
+    const doc = buildDocument(kind, fields, vector, provider);
+
+    const { insertedId } = await collection.insertOne(doc);
+    return { _id: insertedId, ...doc };
+}
+
+// Full replacement. The stored vector is kept when the embedded text is unchanged
+// and was produced by the current model; otherwise the document is re-embedded.
+export async function replaceDocument(collection, kind, id, input, { embed, provider }) {
+    const type = documentType(kind);
+    const _id = parseDocumentId(id);
+    const fields = validateDocument(kind, input);
+
+    const existing = await collection.findOne({ _id });
+    if (!existing) {
+        throw new HttpError(404, `${type.label} not found`);
+    }
+
+    const text = embeddingSourceText(fields, type.sourceFields);
+    const metaField = embeddingMetaField(type.vectorPath);
+    const previousHash = existing[metaField]?.textHash;
+    const reusable = existing[type.vectorPath]
+        && existing[metaField]?.model === provider.model
+        && (previousHash ? previousHash === hashText(text) : embeddingSourceText(existing, type.sourceFields) === text);
+
+    const vector = reusable ? existing[type.vectorPath] : await embed(text);
+    const doc = buildDocument(kind, fields, vector, provider, { dateAdded: existing.metadata?.dateAdded });
+    if (reusable) {
+        doc[metaField] = existing[metaField];
+    }
+
+    await collection.replaceOne({ _id }, doc);
+    return { document: { _id, ...doc }, reembedded: !reusable };
+}
+
+export async function deleteDocument(collection, id) {
+    const { deletedCount } = await collection.deleteOne({ _id: parseDocumentId(id) });
+    return deletedCount > 0;
+}
+
+// Parse an upload into rows. Each row is { row, value } or { row, error } so one
+// malformed NDJSON line does not reject the whole file.
+export function parseBulkRows(text, format) {
+    if (format === 'csv') {
+        let records;
+        try {
+            records = parseCsv(text);
+        } catch (error) {
+            throw badRequest(error.message);
+        }
+        return records.map((value, i) => ({ row: i + 1, value }));
+    }
+    if (format === 'ndjson') {
+        return String(text)
+            .split(/\r?\n/)
+            .map((line, i) => ({ row: i + 1, line: line.trim() }))
+            .filter(({ line }) => line !== '')
+            .map(({ row, line }) => {
+                try {
+                    return { row, value: JSON.parse(line) };
+                } catch {
+                    return { row, error: [{ field: '', message: 'is not valid JSON' }] };
+                }
+            });
+    }
+    throw badRequest('Unsupported bulk format', { field: 'format', allowed: ['ndjson', 'csv'] });
+}
+
+// Decide the upload format from an explicit `format`, then the file name, then the content type
+export function detectBulkFormat({ format, filename, contentType }) {
+    if (format) return String(format).toLowerCase();
+    if (/\.csv$/i.test(filename || '')) return 'csv';
+    if (/\.(ndjson|jsonl)$/i.test(filename || '')) return 'ndjson';
+    if (/csv/i.test(contentType || '')) return 'csv';
+    if (/ndjson|jsonl/i.test(contentType || '')) return 'ndjson';
+    return undefined;
+}
+
+// Validate, embed (in batches) and insert every row. Returns one result per row:
+//   { row, status: 'inserted', _id } or { row, status: 'failed', errors }
+export async function bulkInsertDocuments(collection, kind, rows, { embedBatch, provider, batchSize = 50, coerce = false }) {
+    const type = documentType(kind);
+    const results = [];
+
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const batch = rows.slice(start, start + batchSize).map(({ row, value, error }) => {
+            if (error) return { row, errors: error };
+            const { value: fields, errors } = validate(type.schema, value, { coerce });
+            return errors.length > 0 ? { row, errors } : { row, fields };
+        });
+
+        const valid = batch.filter(item => item.fields);
+        let vectors = [];
+        if (valid.length > 0) {
+            try {
+                vectors = await embedBatch(valid.map(item => embeddingSourceText(item.fields, type.sourceFields)));
+            } catch (error) {
+                valid.forEach(item => {
+                    item.errors = [{ field: '', message: `embedding failed: ${error.message}` }];
+                    delete item.fields;
+                });
+            }
+        }
+
+        let v = 0;
+        for (const item of batch) {
+            if (!item.fields) {
+                results.push({ row: item.row, status: 'failed', errors: item.errors });
+                continue;
+            }
+            try {
+                const doc = buildDocument(kind, item.fields, vectors[v++], provider);
+                const { insertedId } = await collection.insertOne(doc);
+                results.push({ row: item.row, status: 'inserted', _id: insertedId, document: doc });
+            } catch (error) {
+                results.push({ row: item.row, status: 'failed', errors: [{ field: '', message: error.message }] });
+            }
+        }
+    }
+
+    return results;
+}
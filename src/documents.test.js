@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bulkInsertDocuments, detectBulkFormat, parseBulkRows } from './documents.js';
+
+const provider = { name: 'test', model: 'test-embed', dimensions: 2 };
+
+function memoryCollection() {
+    const docs = [];
+    return {
+        docs,
+        async insertOne(doc) {
+            docs.push(doc);
+            return { insertedId: docs.length };
+        }
+    };
+}
+
+test('parseBulkRows numbers rows and keeps going past bad NDJSON lines', () => {
+    const rows = parseBulkRows('{"title":"a"}\n\nnot json\n{"title":"b"}\n', 'ndjson');
+    assert.deepEqual(rows.map(r => r.row), [1, 3, 4]);
+    assert.deepEqual(rows[1].error, [{ field: '', message: 'is not valid JSON' }]);
+    assert.deepEqual(parseBulkRows('title\nLamp', 'csv'), [{ row: 1, value: { title: 'Lamp' } }]);
+    assert.throws(() => parseBulkRows('a,"b', 'csv'), { status: 400 });
+    assert.throws(() => parseBulkRows('', 'xml'), { status: 400 });
+});
+
+test('detectBulkFormat prefers the explicit format, then the file name, then the content type', () => {
+    assert.equal(detectBulkFormat({ format: 'CSV', filename: 'x.ndjson' }), 'csv');
+    assert.equal(detectBulkFormat({ filename: 'rows.jsonl', contentType: 'text/csv' }), 'ndjson');
+    assert.equal(detectBulkFormat({ contentType: 'text/csv; charset=utf-8' }), 'csv');
+    assert.equal(detectBulkFormat({ contentType: 'text/plain' }), undefined);
+});
+
+test('bulkInsertDocuments validates and coerces CSV rows and reports failures per row', async () => {
+    const collection = memoryCollection();
+    const embedded = [];
+    const rows = parseBulkRows('title,description,category,price\nLamp,Warm light,Home,12.5\nDesk,Oak desk,Home,cheap', 'csv');
+    const results = await bulkInsertDocuments(collection, 'product', rows, {
+        embedBatch: async texts => {
+            embedded.push(...texts);
+            return texts.map(() => [0.1, 0.2]);
+        },
+        provider,
+        coerce: true
+    });
+
+    assert.deepEqual(results.map(r => [r.row, r.status]), [[1, 'inserted'], [2, 'failed']]);
+    assert.deepEqual(results[1].errors, [{ field: 'price', message: 'must be a number' }]);
+    assert.equal(embedded.length, 1);
+    assert.equal(collection.docs[0].price, 12.5);
+    assert.deepEqual(collection.docs[0].description_embedding, [0.1, 0.2]);
+});
+
+test('bulkInsertDocuments fails the whole batch when embedding fails', async () => {
+    const rows = [{ row: 1, value: { title: 'Lamp', description: 'Warm light', category: 'Home', price: 12 } }];
+    const results = await bulkInsertDocuments(memoryCollection(), 'product', rows, {
+        embedBatch: async () => { throw new Error('quota exceeded'); },
+        provider
+    });
+    assert.deepEqual(results, [{ row: 1, status: 'failed', errors: [{ field: '', message: 'embedding failed: quota exceeded' }] }]);
+});
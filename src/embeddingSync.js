@@ -0,0 +1,186 @@
+// Keeps stored embeddings in step with their source fields by watching change streams
+import { hashText } from './cache.js';
+import { DOCUMENT_TYPES, embeddingSourceText } from './documents.js';
+import { embeddingFields, embeddingMetaField } from './embeddings/index.js';
+
+// Vector fields per collection and the fields their text is built from. Products and
+// books match the write API; ancient texts match the startup seed.
+export const EMBEDDING_SOURCES = {
+    products: [{ path: DOCUMENT_TYPES.product.vectorPath, fields: DOCUMENT_TYPES.product.sourceFields }],
+    books: [{ path: DOCUMENT_TYPES.book.vectorPath, fields: DOCUMENT_TYPES.book.sourceFields }],
+    ancient_texts: [
+        { path: 'description_embedding', fields: ['summary'] },
+        { path: 'title_embedding', fields: ['title'] }
+    ]
+};
+
+const WATCHED_OPERATIONS = ['insert', 'update', 'replace'];
+// The saved resume token is older than the oplog, or no longer valid for this stream
+const LOST_HISTORY_CODES = new Set([260, 280, 286]);
+
+// Only updates that set or unset a source field can change the embedded text. This
+// also skips the worker's own writes, which touch nothing but vectors and their metadata.
+export function touchesSourceFields(event, fields) {
+    if (event.operationType !== 'update') return true;
+    const { updatedFields = {}, removedFields = [], truncatedArrays = [] } = event.updateDescription || {};
+    const changed = [...Object.keys(updatedFields), ...removedFields, ...truncatedArrays.map(t => t.field)];
+    return changed.some(path => fields.some(field => path === field || path.startsWith(`${field}.`)));
+}
+
+// A vector is stale when its text hash or model differs from what would be embedded now.
+// Vectors written before hashes were stored count as stale once. A source may name its
+// own `provider` (shadow fields during a model migration); the others use `provider`.
+export function staleSources(doc, sources, provider) {
+    return sources
+        .map(source => ({ ...source, provider: source.provider || provider, text: embeddingSourceText(doc, source.fields) }))
+        .filter(({ path, text, provider: sourceProvider }) => {
+            if (!text) return false;
+            const meta = doc[embeddingMetaField(path)];
+            return !doc[path] || meta?.model !== sourceProvider.model || meta?.textHash !== hashText(text);
+        });
+}
+
+// Re-embed the stale vectors of one document. Returns the paths that were rewritten.
+// `embed(text, provider)` must embed with the provider it is given.
+export async function syncDocumentEmbeddings(collection, doc, sources, { embed, provider }) {
+    const stale = staleSources(doc, sources, provider);
+    if (stale.length === 0) return [];
+
+    const $set = {};
+    for (const { path, text, provider: sourceProvider } of stale) {
+        Object.assign($set, embeddingFields(path, await embed(text, sourceProvider), sourceProvider, text));
+    }
+    await collection.updateOne({ _id: doc._id }, { $set });
+    return stale.map(({ path }) => path);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetry(fn, { attempts, delayMs }) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= attempts) throw error;
+            await sleep(delayMs * 2 ** (attempt - 1));
+        }
+    }
+}
+
+// One change stream per collection, processed one event at a time. The resume token
+// is saved in `stateCollection` after every event, so a restart picks up where the
+// previous run stopped. `collections` defaults to every collection in `sources`.
+export function createEmbeddingSync({
+    db,
+    stateCollection,
+    embed,
+    provider,
+    sources = EMBEDDING_SOURCES,
+    collections = Object.keys(sources),
+    retry = { attempts: 3, delayMs: 1000 },
+    logger = console
+}) {
+    const streams = new Map();
+    const stats = Object.fromEntries(collections.map(name => [name, { events: 0, embedded: 0, skipped: 0, failed: 0 }]));
+    let stopping = false;
+
+    async function saveResumeToken(name, resumeToken) {
+        await stateCollection.updateOne(
+            { _id: name },
+            { $set: { resumeToken, updatedAt: new Date(), stats: stats[name] } },
+            { upsert: true }
+        );
+    }
+
+    async function handleEvent(name, event) {
+        const collectionSources = sources[name];
+        const fields = [...new Set(collectionSources.flatMap(source => source.fields))];
+        stats[name].events++;
+
+        if (!event.fullDocument || !touchesSourceFields(event, fields)) {
+            stats[name].skipped++;
+            return;
+        }
+
+        try {
+            const paths = await withRetry(
+                () => syncDocumentEmbeddings(db.collection(name), event.fullDocument, collectionSources, { embed, provider }),
+                retry
+            );
+            if (paths.length > 0) {
+                stats[name].embedded++;
+                logger.info(`Re-embedded ${name}/${event.documentKey._id}: ${paths.join(', ')}`);
+            } else {
+                stats[name].skipped++;
+            }
+        } catch (error) {
+            // Move on rather than stall the stream; `reconcile` picks the document up later
+            stats[name].failed++;
+            logger.error(`Failed to re-embed ${name}/${event.documentKey._id}: ${error.message}`);
+        }
+    }
+
+    async function watchCollection(name) {
+        const state = await stateCollection.findOne({ _id: name });
+        let resumeAfter = state?.resumeToken;
+
+        while (!stopping) {
+            const stream = db.collection(name).watch(
+                [{ $match: { operationType: { $in: WATCHED_OPERATIONS } } }],
+                { fullDocument: 'updateLookup', ...(resumeAfter && { resumeAfter }) }
+            );
+            streams.set(name, stream);
+            logger.info(`Watching ${name}${resumeAfter ? ' (resumed)' : ''}`);
+
+            try {
+                for await (const event of stream) {
+                    await handleEvent(name, event);
+                    resumeAfter = event._id;
+                    await saveResumeToken(name, resumeAfter);
+                }
+                return;
+            } catch (error) {
+                if (stopping) return;
+                if (resumeAfter && LOST_HISTORY_CODES.has(error.code)) {
+                    logger.warn(`Resume token for ${name} is no longer usable (${error.message}); starting from now. Run with --reconcile to catch up.`);
+                    resumeAfter = undefined;
+                    await stateCollection.deleteOne({ _id: name });
+                    continue;
+                }
+                throw error;
+            } finally {
+                await stream.close().catch(() => {});
+            }
+        }
+    }
+
+    // Scan a whole collection and re-embed every stale document. Used to catch up
+    // on changes a stream could not replay.
+    async function reconcile(name) {
+        const collectionSources = sources[name];
+        const result = { scanned: 0, embedded: 0, failed: 0 };
+
+        for await (const doc of db.collection(name).find({})) {
+            result.scanned++;
+            try {
+                const paths = await withRetry(() => syncDocumentEmbeddings(db.collection(name), doc, collectionSources, { embed, provider }), retry);
+                if (paths.length > 0) result.embedded++;
+            } catch (error) {
+                result.failed++;
+                logger.error(`Failed to re-embed ${name}/${doc._id}: ${error.message}`);
+            }
+        }
+        return result;
+    }
+
+    return {
+        stats: () => stats,
+        reconcile,
+        // Resolves when every stream has closed; rejects if one fails for good
+        start: () => Promise.all(collections.map(watchCollection)),
+        async stop() {
+            stopping = true;
+            await Promise.all([...streams.values()].map(stream => stream.close().catch(() => {})));
+        }
+    };
+}
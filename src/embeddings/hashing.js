@@ -0,0 +1,40 @@
+import { createHash } from 'crypto';
+
+const DEFAULT_DIMENSIONS = 256;
+
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Feature hashing over unigrams and bigrams. Fully deterministic and offline, so
+// tests and local demos get stable vectors without an API key. Similar wording
+// produces nearby vectors, but there is no real semantic understanding.
+function hashEmbed(text, dimensions) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+
+    for (const feature of features) {
+        const digest = createHash('md5').update(feature).digest();
+        const index = digest.readUInt32BE(0) % dimensions;
+        vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+export function createHashingProvider({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    return {
+        name: 'hashing',
+        model: `hashing-v1-${dimensions}`,
+        dimensions,
+        pricePerMillionTokens: 0,
+        async embed(texts) {
+            return {
+                vectors: texts.map(text => hashEmbed(text, dimensions)),
+                usage: { prompt_tokens: 0, total_tokens: 0 }
+            };
+        }
+    };
+}
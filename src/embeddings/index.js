@@ -0,0 +1,115 @@
+// Embedding provider registry and per-document model metadata
+import { createOpenAIProvider, createOpenAICompatibleProvider } from './openai.js';
+import { createHashingProvider } from './hashing.js';
+import { HttpError } from '../errors.js';
+import { hashText } from '../cache.js';
+
+const providers = new Map([
+    ['openai', createOpenAIProvider],
+    ['local', createOpenAICompatibleProvider],
+    ['hashing', createHashingProvider]
+]);
+
+export function registerEmbeddingProvider(name, factory) {
+    providers.set(name, factory);
+}
+
+export function listEmbeddingProviders() {
+    return [...providers.keys()];
+}
+
+// Build a provider from a config object: { provider, model, dimensions, baseURL, apiKey }
+export function createEmbeddingProvider({ provider = 'openai', ...options } = {}) {
+    const factory = providers.get(provider);
+    if (!factory) {
+        throw new Error(`Unknown embedding provider "${provider}". Available: ${listEmbeddingProviders().join(', ')}`);
+    }
+    return factory(options);
+}
+
+export async function embedText(provider, text, options) {
+    const { vectors } = await provider.embed([text], options);
+    return vectors[0];
+}
+
+// Every stored vector at `path` is paired with `${path}_meta` describing how it was made
+export const embeddingMetaField = path => `${path}_meta`;
+
+// `textHash` (when the source text is given) lets sync jobs tell whether the text changed
+export function embeddingMeta(provider, text) {
+    return {
+        provider: provider.name,
+        model: provider.model,
+        dimensions: provider.dimensions,
+        ...(text !== undefined && { textHash: hashText(text) }),
+        embeddedAt: new Date()
+    };
+}
+
+// $set payload for writing a vector together with its metadata
+export function embeddingFields(path, vector, provider, text) {
+    return {
+        [path]: vector,
+        [embeddingMetaField(path)]: embeddingMeta(provider, text)
+    };
+}
+
+export class EmbeddingModelMismatchError extends HttpError {
+    constructor(message, details) {
+        super(409, message, details);
+        this.name = 'EmbeddingModelMismatchError';
+    }
+}
+
+const COMPATIBILITY_TTL_MS = 60 * 1000;
+const compatibilityChecks = new Map();
+
+// Refuse to query a vector field whose stored vectors came from a different model
+// (or, for vectors written before metadata existed, have a different length).
+// Results are cached briefly so the check does not add a round trip per search.
+export async function assertCompatibleVectors(collection, path, provider) {
+    const cacheKey = `${collection.dbName}.${collection.collectionName}:${path}:${provider.model}`;
+    const cached = compatibilityChecks.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        if (cached.error) throw cached.error;
+        return;
+    }
+
+    const metaField = embeddingMetaField(path);
+    let error = null;
+
+    const storedModels = await collection.aggregate([
+        { $match: { [path]: { $exists: true } } },
+        { $group: { _id: { model: `$${metaField}.model`, dimensions: `$${metaField}.dimensions` } } },
+        { $limit: 10 }
+    ]).toArray();
+
+    const mismatched = storedModels
+        .map(({ _id }) => _id)
+        .filter(({ model, dimensions }) => model && (model !== provider.model || dimensions !== provider.dimensions));
+
+    if (mismatched.length > 0) {
+        error = new EmbeddingModelMismatchError(
+            `Field "${path}" in ${collection.collectionName} holds vectors from ${mismatched.map(m => m.model).join(', ')}, ` +
+            `but queries are embedded with ${provider.model}`,
+            { path, queryModel: provider.model, storedModels: mismatched }
+        );
+    } else if (storedModels.some(({ _id }) => !_id.model)) {
+        // Legacy vectors without metadata: the best we can do is compare lengths
+        const legacy = await collection.findOne(
+            { [path]: { $exists: true }, [metaField]: { $exists: false } },
+            { projection: { [path]: 1 } }
+        );
+        const legacyDimensions = legacy?.[path]?.length;
+        if (legacyDimensions && legacyDimensions !== provider.dimensions) {
+            error = new EmbeddingModelMismatchError(
+                `Field "${path}" in ${collection.collectionName} holds ${legacyDimensions}-dimension vectors, ` +
+                `but ${provider.model} produces ${provider.dimensions}`,
+                { path, queryModel: provider.model, storedDimensions: legacyDimensions }
+            );
+        }
+    }
+
+    compatibilityChecks.set(cacheKey, { error, expiresAt: Date.now() + COMPATIBILITY_TTL_MS });
+    if (error) throw error;
+}
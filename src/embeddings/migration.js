@@ -0,0 +1,62 @@
+// Zero-downtime embedding model migration. A shadow vector field (`<path>_<suffix>`)
+// with its own index is filled with the new model next to the primary field. Writes
+// keep both fields current while a shadow model is configured, and reads switch
+// per collection through EMBEDDING_READ_SHADOW, so rolling back is a config change.
+import { DEFAULT_VECTOR_INDEX, DEFAULT_VECTOR_PATH } from '../vectorSearch.js';
+import { createEmbeddingProvider, embeddingMetaField } from './index.js';
+
+export const shadowPath = (path, suffix) => `${path}_${suffix}`;
+export const shadowIndexName = (index, suffix) => `${index}_${suffix}`;
+
+// `settings` is config.embeddingMigration: { shadow, suffix, readShadow }
+export function createEmbeddingMigration({ shadow, suffix = 'v2', readShadow = [] } = {}, primary) {
+    const shadowProvider = shadow ? createEmbeddingProvider(shadow) : null;
+    if (!shadowProvider && readShadow.length > 0) {
+        throw new Error('EMBEDDING_READ_SHADOW is set but no shadow model is configured (EMBEDDING_SHADOW_MODEL)');
+    }
+    if (shadowProvider?.model === primary.model) {
+        throw new Error(`Shadow embedding model is the same as the primary model (${primary.model})`);
+    }
+
+    const readsShadow = collectionName =>
+        Boolean(shadowProvider) && (readShadow.includes('*') || readShadow.includes(collectionName));
+
+    return {
+        primary,
+        shadow: shadowProvider,
+        suffix,
+        readsShadow,
+
+        // Field, index and query embedder for vector reads of `collectionName`
+        readTarget(collectionName, { path = DEFAULT_VECTOR_PATH, index = DEFAULT_VECTOR_INDEX } = {}) {
+            return readsShadow(collectionName)
+                ? { path: shadowPath(path, suffix), index: shadowIndexName(index, suffix), provider: shadowProvider, shadow: true }
+                : { path, index, provider: primary, shadow: false };
+        },
+
+        // Index options (for ensureVectorIndex) of the shadow field
+        shadowIndexOptions({ path = DEFAULT_VECTOR_PATH, index = DEFAULT_VECTOR_INDEX, filterPaths = [] } = {}) {
+            return {
+                name: shadowIndexName(index, suffix),
+                path: shadowPath(path, suffix),
+                dimensions: shadowProvider.dimensions,
+                filterPaths
+            };
+        },
+
+        // Embedding sources plus a shadow twin of each searchable one, so writes and
+        // the sync worker fill both fields during a migration
+        withShadowSources(sources) {
+            if (!shadowProvider) return sources;
+            return sources.flatMap(source => source.path === DEFAULT_VECTOR_PATH
+                ? [source, { ...source, path: shadowPath(source.path, suffix), provider: shadowProvider }]
+                : [source]);
+        },
+
+        // $project stage excluding the primary and shadow vectors from results
+        vectorProjection(path = DEFAULT_VECTOR_PATH) {
+            const paths = shadowProvider ? [path, shadowPath(path, suffix)] : [path];
+            return Object.fromEntries(paths.flatMap(p => [[p, 0], [embeddingMetaField(p), 0]]));
+        }
+    };
+}
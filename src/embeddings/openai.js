@@ -0,0 +1,73 @@
+import OpenAI from 'openai';
+
+// Native output sizes of the OpenAI embedding models we know about
+const OPENAI_MODEL_DIMENSIONS = {
+    'text-embedding-ada-002': 1536,
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072
+};
+
+// USD per million input tokens, for cost estimates
+const OPENAI_MODEL_PRICES = {
+    'text-embedding-ada-002': 0.10,
+    'text-embedding-3-small': 0.02,
+    'text-embedding-3-large': 0.13
+};
+
+// Only the v3 models accept a shortened `dimensions` parameter
+const supportsDimensions = model => model.startsWith('text-embedding-3');
+
+function buildProvider(name, client, { model, dimensions }) {
+    if (!model) {
+        throw new Error(`Embedding provider "${name}" requires a model name`);
+    }
+
+    const nativeDimensions = OPENAI_MODEL_DIMENSIONS[model];
+    const resolvedDimensions = dimensions || nativeDimensions;
+    if (!resolvedDimensions) {
+        throw new Error(`Unknown dimensions for embedding model "${model}"; set EMBEDDING_DIMENSIONS`);
+    }
+
+    const requestDimensions = dimensions && dimensions !== nativeDimensions && supportsDimensions(model)
+        ? dimensions
+        : undefined;
+
+    return {
+        name,
+        model,
+        dimensions: resolvedDimensions,
+        // Self-hosted servers cost nothing per token
+        pricePerMillionTokens: name === 'openai' ? OPENAI_MODEL_PRICES[model] : 0,
+        async embed(texts, { signal } = {}) {
+            const response = await client.embeddings.create({
+                model,
+                input: texts,
+                ...(requestDimensions && { dimensions: requestDimensions })
+            }, { signal });
+
+            const vectors = response.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+
+            for (const vector of vectors) {
+                if (vector.length !== resolvedDimensions) {
+                    throw new Error(`Model "${model}" returned ${vector.length} dimensions, expected ${resolvedDimensions}`);
+                }
+            }
+            return { vectors, usage: response.usage };
+        }
+    };
+}
+
+export function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY, ...options }) {
+    return buildProvider('openai', new OpenAI({ apiKey }), options);
+}
+
+// Any server that speaks the OpenAI /v1/embeddings protocol (Ollama, vLLM, LM Studio, TEI...)
+export function createOpenAICompatibleProvider({ baseURL, apiKey, ...options }) {
+    if (!baseURL) {
+        throw new Error('Embedding provider "local" requires EMBEDDING_BASE_URL');
+    }
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    return buildProvider('local', new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' }), options);
+}
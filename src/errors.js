@@ -0,0 +1,35 @@
+// Errors that carry an HTTP status, so route handlers can answer 4xx instead of 500
+
+// Machine-readable `code` for each status, used when an error does not name its own
+const STATUS_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'upstream_error',
+    503: 'service_unavailable'
+};
+
+export class HttpError extends Error {
+    constructor(status, message, details, code) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.code = code || STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'invalid_request');
+    }
+}
+
+export const badRequest = (message, details) => new HttpError(400, message, details);
+
+export const notFound = message => new HttpError(404, message);
+
+export const unauthorized = message => new HttpError(401, message);
+
+// 400 whose details list the failing fields: [{ field, message }]
+export const validationError = (errors, message = 'Invalid request') => new HttpError(400, message, errors, 'validation_failed');
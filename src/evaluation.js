@@ -0,0 +1,161 @@
+// Offline relevance evaluation of the search endpoints against a judgment set
+import { ndcgAtK, recallAtK, reciprocalRank } from './rankMetrics.js';
+import { mean, percentile } from './stats.js';
+
+// Search types evaluated per endpoint. Image search needs an upload and is left out.
+export const EVALUATION_TARGETS = {
+    products: { path: '/api/search', types: ['basic', 'atlas', 'vector', 'semantic', 'hybrid'] },
+    books: { path: '/api/books/search', types: ['vector', 'semantic', 'concept', 'hybrid'] }
+};
+
+const METRICS = ['ndcg', 'mrr', 'recall'];
+
+// Judgment set:
+//   { "name": "baseline", "queries": [
+//       { "id": "espresso", "target": "products", "query": "espresso machine",
+//         "filters": { "maxPrice": 500 }, "relevant": { "<_id>": 3, "<_id>": 1 } } ] }
+// Grades are non-negative numbers; higher is more relevant and 0 means judged irrelevant.
+export function parseJudgments(input) {
+    const problems = [];
+    const queries = Array.isArray(input?.queries) ? input.queries : [];
+    if (queries.length === 0) problems.push('"queries" must be a non-empty array');
+
+    const seen = new Set();
+    queries.forEach((q, i) => {
+        const where = `queries[${i}]`;
+        if (!q.id || typeof q.id !== 'string') problems.push(`${where}.id is required`);
+        else if (seen.has(q.id)) problems.push(`${where}.id "${q.id}" is duplicated`);
+        seen.add(q.id);
+        if (!EVALUATION_TARGETS[q.target]) problems.push(`${where}.target must be one of: ${Object.keys(EVALUATION_TARGETS).join(', ')}`);
+        if (!q.query || typeof q.query !== 'string') problems.push(`${where}.query is required`);
+        const grades = Object.values(q.relevant || {});
+        if (grades.length === 0 || grades.some(grade => typeof grade !== 'number' || grade < 0)) {
+            problems.push(`${where}.relevant must map document ids to non-negative grades`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid judgment set:\n  ${problems.join('\n  ')}`);
+    }
+    return { name: input.name || 'judgments', queries };
+}
+
+export function scoreQuery(results, relevant, k) {
+    return {
+        ndcg: ndcgAtK(results, relevant, k),
+        mrr: reciprocalRank(results.slice(0, k), relevant),
+        recall: recallAtK(results, relevant, k)
+    };
+}
+
+// Metrics and latencies cover the answered queries only; failed ones are counted in
+// `errors`. Metrics are null when every query failed.
+function summarize(queryResults) {
+    const answered = queryResults.filter(q => !q.error);
+    const latencies = answered.map(q => q.latencyMs);
+    return {
+        queries: queryResults.length,
+        errors: queryResults.length - answered.length,
+        ...Object.fromEntries(METRICS.map(metric => [metric, answered.length > 0 ? mean(answered.map(q => q[metric])) : null])),
+        latency: { mean: mean(latencies), p50: percentile(latencies, 50), p95: percentile(latencies, 95) }
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST one search and return the ranked ids. A 429 rate limit is retried after its
+// Retry-After delay, up to `maxRetries` times; an exhausted daily budget is not.
+async function fetchRanking(url, init, { fetchImpl, maxRetries, sleep, logger }) {
+    for (let attempt = 0; ; attempt++) {
+        const started = performance.now();
+        const response = await fetchImpl(url, init);
+        const body = await response.json();
+        if (response.status === 429 && body.code === 'rate_limited' && attempt < maxRetries) {
+            const seconds = Number(response.headers?.get('Retry-After')) || body.details?.retryAfterSeconds || 1;
+            logger.info(`Rate limited, retrying in ${seconds}s`);
+            await sleep(seconds * 1000);
+            continue;
+        }
+        if (!response.ok) throw new Error((typeof body.details === 'string' && body.details) || body.error || `HTTP ${response.status}`);
+        return { ids: body.results.map(result => String(result._id)), latencyMs: performance.now() - started };
+    }
+}
+
+// Run every judged query against every selected search type, one request at a time so
+// latencies are not skewed by concurrency. Failed requests are recorded with their error.
+export async function runEvaluation({
+    judgments,
+    baseUrl,
+    k = 10,
+    targets = Object.keys(EVALUATION_TARGETS),
+    types,
+    headers = {},
+    fetchImpl = fetch,
+    maxRetries = 3,
+    sleep = wait,
+    logger = console
+}) {
+    const run = { name: judgments.name, createdAt: new Date().toISOString(), baseUrl, k, results: {} };
+
+    for (const target of targets) {
+        const { path, types: targetTypes } = EVALUATION_TARGETS[target];
+        const queries = judgments.queries.filter(q => q.target === target);
+        if (queries.length === 0) continue;
+
+        for (const type of targetTypes.filter(t => !types || types.includes(t))) {
+            const queryResults = [];
+            for (const q of queries) {
+                try {
+                    const { ids, latencyMs } = await fetchRanking(`${baseUrl}${path}`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', ...headers },
+                        body: JSON.stringify({ type, query: q.query, filters: q.filters, pageSize: k })
+                    }, { fetchImpl, maxRetries, sleep, logger });
+                    queryResults.push({ id: q.id, ...scoreQuery(ids, q.relevant, k), latencyMs, returned: ids.length });
+                } catch (err) {
+                    queryResults.push({ id: q.id, error: err.message });
+                }
+            }
+
+            const key = `${target}:${type}`;
+            const summary = summarize(queryResults);
+            run.results[key] = { summary, queries: queryResults };
+            logger.info(`${key}: ${queryResults.length} queries, ${summary.errors} errors, nDCG@${k} ${summary.ndcg?.toFixed(3) ?? 'n/a'}`);
+        }
+    }
+    return run;
+}
+
+const delta = (after, before) => (after === null || before === null ? null : after - before);
+
+// Metric deltas against a saved run, plus the queries whose nDCG moved by at least `threshold`
+export function diffRuns(current, baseline, { threshold = 0.1 } = {}) {
+    const diff = { baseline: baseline.createdAt, comparableK: current.k === baseline.k, results: {} };
+
+    for (const [key, { summary, queries }] of Object.entries(current.results)) {
+        const previous = baseline.results?.[key];
+        if (!previous) {
+            diff.results[key] = { added: true };
+            continue;
+        }
+
+        // Queries that failed in either run have no score to compare
+        const before = new Map(previous.queries.filter(q => !q.error).map(q => [q.id, q]));
+        const changedQueries = queries
+            .filter(q => !q.error && before.has(q.id))
+            .map(q => ({ id: q.id, before: before.get(q.id).ndcg, after: q.ndcg, delta: q.ndcg - before.get(q.id).ndcg }))
+            .filter(q => Math.abs(q.delta) >= threshold)
+            .sort((a, b) => a.delta - b.delta);
+
+        diff.results[key] = {
+            ...Object.fromEntries(METRICS.map(metric => [metric, delta(summary[metric], previous.summary[metric])])),
+            latencyP50: summary.latency.p50 - previous.summary.latency.p50,
+            latencyP95: summary.latency.p95 - previous.summary.latency.p95,
+            changedQueries
+        };
+    }
+    for (const key of Object.keys(baseline.results || {})) {
+        if (!current.results[key]) diff.results[key] = { removed: true };
+    }
+    return diff;
+}
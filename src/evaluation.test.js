@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRuns, runEvaluation } from './evaluation.js';
+
+const judgments = {
+    name: 'test',
+    queries: [
+        { id: 'q1', target: 'books', query: 'stoic ethics', relevant: { a: 1 } },
+        { id: 'q2', target: 'books', query: 'roman law', relevant: { b: 1 } }
+    ]
+};
+
+const jsonResponse = (status, body, headers = {}) => ({
+    status,
+    ok: status < 400,
+    headers: new Headers(headers),
+    json: async () => body
+});
+
+const quiet = { info() {} };
+
+test('runEvaluation retries rate-limited requests after Retry-After', async () => {
+    const responses = [
+        jsonResponse(429, { error: 'Rate limit exceeded', code: 'rate_limited' }, { 'Retry-After': '2' }),
+        jsonResponse(200, { results: [{ _id: 'a' }] }),
+        jsonResponse(200, { results: [{ _id: 'b' }] })
+    ];
+    const waits = [];
+    const run = await runEvaluation({
+        judgments,
+        baseUrl: 'http://test',
+        types: ['vector'],
+        fetchImpl: async () => responses.shift(),
+        sleep: async ms => waits.push(ms),
+        logger: quiet
+    });
+
+    assert.deepEqual(waits, [2000]);
+    const { summary } = run.results['books:vector'];
+    assert.equal(summary.errors, 0);
+    assert.equal(summary.ndcg, 1);
+});
+
+test('runEvaluation leaves failed queries out of the metrics', async () => {
+    const responses = [
+        jsonResponse(200, { results: [{ _id: 'a' }] }),
+        jsonResponse(429, { error: 'Daily usage budget exhausted', code: 'budget_exhausted' })
+    ];
+    const run = await runEvaluation({
+        judgments,
+        baseUrl: 'http://test',
+        types: ['vector'],
+        fetchImpl: async () => responses.shift(),
+        sleep: async () => assert.fail('budget errors are not retried'),
+        logger: quiet
+    });
+
+    const { summary, queries } = run.results['books:vector'];
+    assert.equal(summary.errors, 1);
+    assert.equal(summary.ndcg, 1);
+    assert.equal(queries[1].error, 'Daily usage budget exhausted');
+    assert.equal(queries[1].ndcg, undefined);
+
+    const baseline = structuredClone(run);
+    baseline.results['books:vector'].queries[1] = { id: 'q2', ndcg: 1, mrr: 1, recall: 1, latencyMs: 1, returned: 1 };
+    assert.deepEqual(diffRuns(run, baseline).results['books:vector'].changedQueries, []);
+});
@@ -0,0 +1,66 @@
+// Explain mode: collects what one search did (pipelines, models, rewritten query,
+// candidate counts, stage timings) so a surprising ranking can be traced. A disabled
+// explain records nothing, so helpers can take one unconditionally.
+
+const VECTOR_PREVIEW = 5;
+
+// Multipart forms send the flag as a string
+export const isExplainRequested = value => value === true || value === 'true';
+
+// Deep copy of a pipeline with long numeric arrays (query vectors) cut to a short preview
+export function truncateVectors(value) {
+    if (Array.isArray(value)) {
+        if (value.length > VECTOR_PREVIEW && value.every(item => typeof item === 'number')) {
+            return [...value.slice(0, VECTOR_PREVIEW), `... ${value.length - VECTOR_PREVIEW} more (${value.length} dimensions)`];
+        }
+        return value.map(truncateVectors);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateVectors(item)]));
+    }
+    return value;
+}
+
+export function createExplain(enabled = false) {
+    const report = { pipelines: [], candidates: {}, timings: {} };
+
+    return {
+        enabled,
+        set(key, value) {
+            if (enabled) report[key] = value;
+        },
+        pipeline(name, pipeline) {
+            if (enabled) report.pipelines.push({ name, pipeline: truncateVectors(pipeline) });
+        },
+        candidates(name, counts) {
+            if (enabled) report.candidates[name] = counts;
+        },
+        // Run `fn`, adding its duration in ms to `stage`
+        async time(stage, fn) {
+            if (!enabled) return fn();
+            const started = performance.now();
+            try {
+                return await fn();
+            } finally {
+                report.timings[stage] = Number(((report.timings[stage] || 0) + performance.now() - started).toFixed(2));
+            }
+        },
+        report: extra => ({ ...report, ...extra })
+    };
+}
+
+export const NO_EXPLAIN = createExplain(false);
+
+// Score components a result may carry, depending on the search type
+const SCORE_FIELDS = ['relevanceScore', 'feedbackBoost', 'vectorScore', 'vectorRank', 'textScore', 'textRank', 'fusedScore'];
+
+// Per-result raw score next to the score sent to the client. Raw is the engine's own
+// score: Atlas Search before scaling, the fused score, or the vector score before feedback.
+export function explainScores(results, normalize = score => score) {
+    return results.map(result => ({
+        _id: result._id,
+        raw: result.rawScore ?? result.fusedScore ?? result.relevanceScore ?? result.score,
+        normalized: normalize(result.score),
+        ...Object.fromEntries(SCORE_FIELDS.filter(field => result[field] !== undefined).map(field => [field, result[field]]))
+    }));
+}
@@ -0,0 +1,150 @@
+// Result feedback (clicks, add-to-cart, thumbs) and the ranking signals derived from it
+import { ObjectId } from 'mongodb';
+import { hashText, normalizeText } from './cache.js';
+import { HttpError, validationError } from './errors.js';
+import { validate } from './schema.js';
+
+// How much one event of each kind says about a result. Applied when signals are
+// aggregated, so changing a weight also re-weighs past feedback.
+export const FEEDBACK_ACTIONS = {
+    click: 1,
+    add_to_cart: 3,
+    thumbs_up: 2,
+    thumbs_down: -2
+};
+
+export const FEEDBACK_SCHEMA = {
+    query: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+    resultId: { type: 'string', required: true, pattern: /^[0-9a-fA-F]{24}$/, patternMessage: 'must be a document id' },
+    action: { type: 'string', required: true, enum: Object.keys(FEEDBACK_ACTIONS) },
+    type: { type: 'string', maxLength: 50 },
+    position: { type: 'integer', min: 1 }
+};
+
+export const feedbackQueryHash = query => hashText(normalizeText(query));
+
+export async function ensureFeedbackIndexes(feedback, signals) {
+    await feedback.createIndex({ createdAt: -1 });
+    await signals.createIndex({ documentId: 1, queryHash: 1 }, { unique: true });
+    await signals.createIndex({ computedAt: 1 });
+}
+
+// Store one event. Only a hash of the query is kept: it is all the query boosts need.
+export async function recordFeedback(feedback, products, input) {
+    const { value, errors } = validate(FEEDBACK_SCHEMA, input);
+    if (errors.length > 0) {
+        throw validationError(errors, 'Invalid feedback');
+    }
+
+    const documentId = ObjectId.createFromHexString(value.resultId);
+    if (!await products.findOne({ _id: documentId }, { projection: { _id: 1 } })) {
+        throw new HttpError(404, 'Result not found');
+    }
+
+    const event = {
+        queryHash: feedbackQueryHash(value.query),
+        documentId,
+        action: value.action,
+        ...(value.type && { type: value.type }),
+        ...(value.position && { position: value.position }),
+        createdAt: new Date()
+    };
+    const { insertedId } = await feedback.insertOne(event);
+    return { _id: insertedId, ...event };
+}
+
+// Signed log scaling into -1..1 against the strongest signal of the same kind, so a
+// few heavily clicked documents do not flatten everything else to zero
+function normalizeScores(rows) {
+    const maxAbs = Math.max(0, ...rows.map(row => Math.abs(row.score)));
+    return rows.map(row => ({
+        ...row,
+        score: maxAbs > 0 ? Math.sign(row.score) * Math.log1p(Math.abs(row.score)) / Math.log1p(maxAbs) : 0
+    }));
+}
+
+// Turn the raw events of the last `windowDays` into signals: one popularity row per
+// document (queryHash null) and one row per query/document pair with at least
+// `minQueryEvents` events. Older events count less, halving every `halfLifeDays`.
+// Signals from earlier runs that are no longer backed by events are removed.
+export async function aggregateFeedback(feedback, signals, { windowDays = 90, halfLifeDays = 30, minQueryEvents = 3, now = new Date() } = {}) {
+    const weight = {
+        $switch: {
+            branches: Object.entries(FEEDBACK_ACTIONS).map(([action, value]) => ({ case: { $eq: ['$action', action] }, then: value })),
+            default: 0
+        }
+    };
+    const decay = { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLifeDays * 24 * 3600 * 1000] }] };
+
+    const [grouped] = await feedback.aggregate([
+        { $match: { createdAt: { $gte: new Date(now.getTime() - windowDays * 24 * 3600 * 1000), $lte: now } } },
+        { $addFields: { weighted: { $multiply: [weight, decay] } } },
+        {
+            $facet: {
+                documents: [
+                    { $group: { _id: '$documentId', score: { $sum: '$weighted' }, events: { $sum: 1 } } }
+                ],
+                pairs: [
+                    { $group: { _id: { documentId: '$documentId', queryHash: '$queryHash' }, score: { $sum: '$weighted' }, events: { $sum: 1 } } },
+                    { $match: { events: { $gte: minQueryEvents } } }
+                ]
+            }
+        }
+    ]).toArray();
+
+    const rows = [
+        ...normalizeScores(grouped.documents.map(({ _id, score, events }) => ({ documentId: _id, queryHash: null, score, events }))),
+        ...normalizeScores(grouped.pairs.map(({ _id, score, events }) => ({ ..._id, score, events })))
+    ];
+
+    if (rows.length > 0) {
+        await signals.bulkWrite(rows.map(row => ({
+            replaceOne: {
+                filter: { documentId: row.documentId, queryHash: row.queryHash },
+                replacement: { ...row, computedAt: now },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+    const { deletedCount } = await signals.deleteMany({ computedAt: { $lt: now } });
+
+    return { documents: grouped.documents.length, queryPairs: grouped.pairs.length, removed: deletedCount };
+}
+
+// Stages that blend feedback into `score` after $vectorSearch and before paging.
+// The boost is popularityWeight * popularity + queryWeight * query/document signal,
+// clamped to ±maxBoost, and scales the vector score: a result can move by at most
+// that fraction, so feedback reorders close matches but cannot lift a poor one.
+// Without a query (image search) only popularity applies.
+export function feedbackBoostStages({ signalsCollection, query, popularityWeight = 0.05, queryWeight = 0.1, maxBoost = 0.1 }) {
+    const queryHash = query ? feedbackQueryHash(query) : null;
+    // Score of the first looked-up signal matching `cond`, 0 when there is none
+    const signalOf = cond => ({
+        $ifNull: [{ $first: { $map: { input: { $filter: { input: '$_feedback', as: 'signal', cond } }, in: '$$this.score' } } }, 0]
+    });
+    const terms = [{ $multiply: [popularityWeight, signalOf({ $eq: ['$$signal.queryHash', null] })] }];
+    if (queryHash) {
+        terms.push({ $multiply: [queryWeight, signalOf({ $eq: ['$$signal.queryHash', queryHash] })] });
+    }
+
+    return [
+        {
+            $lookup: {
+                from: signalsCollection,
+                localField: '_id',
+                foreignField: 'documentId',
+                pipeline: [{ $match: { queryHash: { $in: [null, queryHash] } } }, { $project: { queryHash: 1, score: 1 } }],
+                as: '_feedback'
+            }
+        },
+        {
+            $addFields: {
+                feedbackBoost: { $max: [-maxBoost, { $min: [maxBoost, { $add: terms }] }] },
+                relevanceScore: '$score'
+            }
+        },
+        { $addFields: { score: { $multiply: ['$score', { $add: [1, '$feedbackBoost'] }] } } },
+        { $project: { _feedback: 0 } },
+        { $sort: { score: -1, _id: 1 } }
+    ];
+}
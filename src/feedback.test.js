@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { feedbackBoostStages, feedbackQueryHash } from './feedback.js';
+
+// Evaluates the aggregation expressions the boost stages use against one document
+function evaluate(expr, doc, vars = {}) {
+    if (typeof expr === 'string' && expr.startsWith('$$')) {
+        const [name, ...path] = expr.slice(2).split('.');
+        return path.reduce((value, key) => value?.[key], vars[name]);
+    }
+    if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.slice(1)];
+    if (expr === null || typeof expr !== 'object') return expr;
+
+    const [[op, args]] = Object.entries(expr);
+    const values = () => args.map(arg => evaluate(arg, doc, vars));
+    switch (op) {
+        case '$add': return values().reduce((sum, value) => sum + value, 0);
+        case '$multiply': return values().reduce((product, value) => product * value, 1);
+        case '$min': return Math.min(...values());
+        case '$max': return Math.max(...values());
+        case '$eq': { const [a, b] = values(); return (a ?? null) === (b ?? null); }
+        case '$ifNull': { const [value, fallback] = values(); return value ?? fallback; }
+        case '$first': return evaluate(args, doc, vars)?.[0];
+        case '$filter': return evaluate(args.input, doc, vars).filter(item => evaluate(args.cond, doc, { ...vars, [args.as]: item }));
+        case '$map': return evaluate(args.input, doc, vars).map(item => evaluate(args.in, doc, { ...vars, this: item }));
+        default: throw new Error(`Unsupported operator ${op}`);
+    }
+}
+
+// Apply the $addFields stages to a document that already carries its looked-up signals
+function boost(stages, doc) {
+    return stages.filter(stage => stage.$addFields).reduce((current, { $addFields }) => ({
+        ...current,
+        ...Object.fromEntries(Object.entries($addFields).map(([field, expr]) => [field, evaluate(expr, current)]))
+    }), doc);
+}
+
+const query = 'Espresso Machine';
+const signals = (popularity, querySignal) => [
+    { queryHash: null, score: popularity },
+    { queryHash: feedbackQueryHash(query), score: querySignal }
+];
+
+test('feedbackBoostStages blends popularity and query signals into the score', () => {
+    const stages = feedbackBoostStages({ signalsCollection: 'signals', query });
+    const result = boost(stages, { _id: 1, score: 0.8, _feedback: signals(0.2, 0.3) });
+
+    assert.equal(result.relevanceScore, 0.8);
+    assert.ok(Math.abs(result.feedbackBoost - (0.05 * 0.2 + 0.1 * 0.3)) < 1e-12);
+    assert.ok(Math.abs(result.score - 0.8 * (1 + result.feedbackBoost)) < 1e-12);
+});
+
+test('feedbackBoostStages clamps the boost to maxBoost in both directions', () => {
+    const stages = feedbackBoostStages({ signalsCollection: 'signals', query, maxBoost: 0.1 });
+    assert.equal(boost(stages, { _id: 1, score: 1, _feedback: signals(10, 10) }).feedbackBoost, 0.1);
+    assert.equal(boost(stages, { _id: 1, score: 1, _feedback: signals(-10, -10) }).feedbackBoost, -0.1);
+    assert.equal(boost(stages, { _id: 1, score: 1, _feedback: [] }).feedbackBoost, 0);
+});
+
+test('feedbackBoostStages without a query uses popularity only', () => {
+    const stages = feedbackBoostStages({ signalsCollection: 'signals' });
+    assert.deepEqual(stages[0].$lookup.pipeline[0], { $match: { queryHash: { $in: [null, null] } } });
+    const result = boost(stages, { _id: 1, score: 1, _feedback: signals(1, 1) });
+    assert.ok(Math.abs(result.feedbackBoost - 0.05) < 1e-12);
+});
@@ -0,0 +1,93 @@
+// Structured search filters, translated into the MQL subset $vectorSearch accepts.
+// The same filter object also works in $match, so text and regex searches reuse it.
+import { badRequest } from './errors.js';
+
+// Fields that must be declared as `filter` paths in each collection's vector index
+export const PRODUCT_FILTER_PATHS = ['category', 'price'];
+export const BOOK_FILTER_PATHS = ['period', 'keywords'];
+
+// The same, keyed by collection name (startup and model migrations build every index)
+export const VECTOR_FILTER_PATHS = {
+    products: PRODUCT_FILTER_PATHS,
+    books: BOOK_FILTER_PATHS,
+    ancient_texts: BOOK_FILTER_PATHS
+};
+
+// Clients posting multipart forms send nested objects as JSON strings
+function parseInput(filters) {
+    if (filters === undefined || filters === null || filters === '') {
+        return {};
+    }
+    if (typeof filters === 'string') {
+        try {
+            return JSON.parse(filters);
+        } catch {
+            throw badRequest('"filters" must be a JSON object', { field: 'filters' });
+        }
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw badRequest('"filters" must be an object', { field: 'filters' });
+    }
+    return filters;
+}
+
+function stringList(value, field) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(v => typeof v !== 'string' || v.trim() === '')) {
+        throw badRequest(`"filters.${field}" must be a non-empty string or array of strings`, { field: `filters.${field}` });
+    }
+    return values.map(v => v.trim());
+}
+
+function price(value, field) {
+    const number = Number(value);
+    if (value === '' || value === null || !Number.isFinite(number) || number < 0) {
+        throw badRequest(`"filters.${field}" must be a non-negative number`, { field: `filters.${field}` });
+    }
+    return number;
+}
+
+// Combine clauses; $vectorSearch wants a single clause or an explicit $and
+function combine(clauses) {
+    if (clauses.length === 0) return undefined;
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+// { category: "Accessories" | [...], minPrice, maxPrice }
+export function parseProductFilters(input) {
+    const filters = parseInput(input);
+    const clauses = [];
+
+    if (filters.category !== undefined) {
+        clauses.push({ category: { $in: stringList(filters.category, 'category') } });
+    }
+    if (filters.minPrice !== undefined) {
+        clauses.push({ price: { $gte: price(filters.minPrice, 'minPrice') } });
+    }
+    if (filters.maxPrice !== undefined) {
+        clauses.push({ price: { $lte: price(filters.maxPrice, 'maxPrice') } });
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined && Number(filters.minPrice) > Number(filters.maxPrice)) {
+        throw badRequest('"filters.minPrice" cannot exceed "filters.maxPrice"', { field: 'filters.minPrice' });
+    }
+    return combine(clauses);
+}
+
+// { period: "New Kingdom" | [...], keywords: "afterlife" | [...] } — keywords match if any is present
+export function parseBookFilters(input) {
+    const filters = parseInput(input);
+    const clauses = [];
+
+    if (filters.period !== undefined) {
+        clauses.push({ period: { $in: stringList(filters.period, 'period') } });
+    }
+    if (filters.keywords !== undefined) {
+        clauses.push({ keywords: { $in: stringList(filters.keywords, 'keywords') } });
+    }
+    return combine(clauses);
+}
+
+// Append a filter to a plain $match query
+export function withFilter(query, filter) {
+    return filter ? { $and: [query, filter] } : query;
+}
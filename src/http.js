@@ -0,0 +1,76 @@
+// Request ids, request validation and the error envelope shared by every route
+import { randomUUID } from 'crypto';
+import { HttpError, badRequest, notFound, validationError } from './errors.js';
+import { validate } from './schema.js';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Reuse the caller's X-Request-Id so logs line up across services, or mint one
+export function requestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    res.locals.requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.setHeader('X-Request-Id', res.locals.requestId);
+    next();
+}
+
+// Body parser and multer failures are client errors too
+function toHttpError(error) {
+    if (error instanceof HttpError) return error;
+    if (error.type === 'entity.parse.failed') {
+        return new HttpError(400, 'Request body is not valid JSON', undefined, 'invalid_json');
+    }
+    if (error.type === 'entity.too.large') {
+        return new HttpError(413, 'Request body is too large');
+    }
+    if (error.name === 'MulterError') {
+        return error.code === 'LIMIT_FILE_SIZE'
+            ? new HttpError(413, 'Uploaded file is too large', { field: error.field })
+            : badRequest(error.message, { field: error.field });
+    }
+    return undefined;
+}
+
+const exposeInternalErrors = process.env.NODE_ENV !== 'production';
+
+// The error envelope: { error, code, details, requestId }. Client errors keep their own
+// message and details; anything else reports `fallback`, plus the cause outside production.
+export function errorBody(error, res, fallback = 'Internal server error') {
+    const httpError = toHttpError(error);
+    return {
+        error: httpError ? httpError.message : fallback,
+        code: httpError ? httpError.code : 'internal_error',
+        details: httpError ? httpError.details : exposeInternalErrors ? error.message : undefined,
+        requestId: res.locals.requestId
+    };
+}
+
+export function sendError(res, error, fallback) {
+    res.status(toHttpError(error)?.status || 500).json(errorBody(error, res, fallback));
+}
+
+// Validate req.params, req.query and req.body against schemas (see schema.js) and replace
+// them with the validated values. Route params, query strings and multipart fields arrive
+// as strings and are coerced; JSON bodies must already use the declared types.
+export function validateRequest(schemas) {
+    return (req, res, next) => {
+        const errors = [];
+        for (const location of ['params', 'query', 'body'].filter(part => schemas[part])) {
+            const coerce = location !== 'body' || Boolean(req.is('multipart/form-data'));
+            const { value, errors: locationErrors } = validate(schemas[location], req[location], { coerce });
+            errors.push(...locationErrors.map(error => ({ ...error, location })));
+            req[location] = value;
+        }
+        next(errors.length > 0 ? validationError(errors) : undefined);
+    };
+}
+
+export const routeNotFound = (req, res, next) => next(notFound(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+
+// Last middleware: errors passed to next(), including parser and validation failures
+export function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    if (!toHttpError(error)) {
+        console.error(`Unhandled error on ${req.method} ${req.path}:`, error);
+    }
+    sendError(res, error);
+}
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { errorHandler, validateRequest } from './http.js';
+import { badRequest } from './errors.js';
+
+const schemas = {
+    params: { id: { type: 'string', required: true } },
+    query: { limit: { type: 'integer', min: 1 } },
+    body: { page: { type: 'integer', min: 1 }, explain: { type: 'boolean' } }
+};
+
+function request({ params = {}, query = {}, body = {}, multipart = false } = {}) {
+    return { params, query, body, is: type => (multipart && type === 'multipart/form-data' ? type : false) };
+}
+
+function run(req) {
+    let passed;
+    validateRequest(schemas)(req, {}, error => { passed = error; });
+    return passed;
+}
+
+test('validateRequest coerces params and query strings but not JSON bodies', () => {
+    const req = request({ params: { id: 'b1' }, query: { limit: '5' }, body: { page: 2 } });
+    assert.equal(run(req), undefined);
+    assert.deepEqual(req.query, { limit: 5 });
+    assert.deepEqual(req.body, { page: 2 });
+
+    const error = run(request({ params: { id: 'b1' }, body: { page: '2' } }));
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'validation_failed');
+    assert.deepEqual(error.details, [{ field: 'page', message: 'must be an integer', location: 'body' }]);
+});
+
+test('validateRequest coerces multipart form fields', () => {
+    const req = request({ params: { id: 'b1' }, body: { page: '2', explain: 'true' }, multipart: true });
+    assert.equal(run(req), undefined);
+    assert.deepEqual(req.body, { page: 2, explain: true });
+});
+
+test('validateRequest lists failures from every location', () => {
+    const error = run(request({ query: { limit: '0' }, body: { other: 1 } }));
+    assert.deepEqual(error.details.map(({ field, location }) => `${location}.${field}`), ['params.id', 'query.limit', 'body.other']);
+});
+
+test('errorHandler answers with the error envelope', () => {
+    const res = {
+        headersSent: false,
+        locals: { requestId: 'req-1' },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+    errorHandler(badRequest('Bad input', { field: 'q' }), { method: 'GET', path: '/x' }, res, () => {});
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'Bad input', code: 'invalid_request', details: { field: 'q' }, requestId: 'req-1' });
+});
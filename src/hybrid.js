@@ -0,0 +1,167 @@
+// Hybrid search: run $vectorSearch and $search side by side and fuse the ranked lists
+import { badRequest } from './errors.js';
+import { NO_EXPLAIN } from './explain.js';
+import { DEFAULT_VECTOR_INDEX, DEFAULT_VECTOR_PATH, vectorSearchPipeline } from './vectorSearch.js';
+
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+const DEFAULT_RRF_K = 60;
+const DEFAULT_WEIGHTS = { vector: 0.5, text: 0.5 };
+
+const keyOf = doc => String(doc._id);
+
+export function resolveWeights(weights = {}) {
+    const vector = Number(weights.vector ?? DEFAULT_WEIGHTS.vector);
+    const text = Number(weights.text ?? DEFAULT_WEIGHTS.text);
+
+    if (!Number.isFinite(vector) || !Number.isFinite(text) || vector < 0 || text < 0 || vector + text === 0) {
+        throw badRequest('Hybrid weights must be non-negative numbers and not both zero', { field: 'weights' });
+    }
+    return { vector, text };
+}
+
+// Merge the per-source lists into one entry per document, remembering rank and raw score
+function collect(lists) {
+    const merged = new Map();
+
+    for (const { name, results } of lists) {
+        results.forEach((doc, index) => {
+            const key = keyOf(doc);
+            const entry = merged.get(key) || { doc: {}, ranks: {}, scores: {} };
+            entry.doc = { ...doc, ...entry.doc };
+            entry.ranks[name] = index + 1;
+            entry.scores[name] = doc.score ?? 0;
+            merged.set(key, entry);
+        });
+    }
+    return merged;
+}
+
+function toResults(merged, fused) {
+    const maxScore = Math.max(0, ...fused.values());
+
+    return [...merged.entries()]
+        .map(([key, { doc, ranks, scores }]) => ({
+            ...doc,
+            fusedScore: fused.get(key),
+            score: maxScore > 0 ? fused.get(key) / maxScore : 0,
+            vectorScore: scores.vector,
+            textScore: scores.text,
+            vectorRank: ranks.vector,
+            textRank: ranks.text
+        }))
+        // _id tie-break keeps the fused order identical between requests
+        .sort((a, b) => b.fusedScore - a.fusedScore || String(a._id).localeCompare(String(b._id)));
+}
+
+// Reciprocal rank fusion: sum of weight / (k + rank) over every list a document appears in
+export function reciprocalRankFusion(lists, { k = DEFAULT_RRF_K } = {}) {
+    const merged = collect(lists);
+    const fused = new Map();
+
+    for (const [key, { ranks }] of merged) {
+        let score = 0;
+        for (const { name, weight = 1 } of lists) {
+            if (ranks[name]) {
+                score += weight / (k + ranks[name]);
+            }
+        }
+        fused.set(key, score);
+    }
+    return toResults(merged, fused);
+}
+
+// Weighted score fusion: min-max normalise each list's scores, then take the weighted sum
+export function weightedScoreFusion(lists) {
+    const merged = collect(lists);
+    const fused = new Map([...merged.keys()].map(key => [key, 0]));
+
+    for (const { name, results, weight = 1 } of lists) {
+        const scores = results.map(r => r.score ?? 0);
+        const min = Math.min(...scores);
+        const max = Math.max(...scores);
+
+        for (const doc of results) {
+            const normalized = max > min ? ((doc.score ?? 0) - min) / (max - min) : 1;
+            const key = keyOf(doc);
+            fused.set(key, fused.get(key) + weight * normalized);
+        }
+    }
+    return toResults(merged, fused);
+}
+
+export function fuseResults(vectorResults, textResults, { method = 'rrf', weights, k } = {}) {
+    const resolved = resolveWeights(weights);
+    const lists = [
+        { name: 'vector', results: vectorResults, weight: resolved.vector },
+        { name: 'text', results: textResults, weight: resolved.text }
+    ];
+
+    switch (method) {
+        case 'rrf':
+            return reciprocalRankFusion(lists, { k: k ?? DEFAULT_RRF_K });
+        case 'weighted':
+            return weightedScoreFusion(lists);
+        default:
+            throw badRequest(`Unsupported fusion method: ${method}`, { field: 'fusion' });
+    }
+}
+
+// Run both pipelines in parallel against one collection and fuse them.
+// `searchStage` is a complete $search stage; `project` is applied to both branches (without
+// it, `exclude` or else just `vectorPath` is projected out) and
+// `filter` (MQL) pre-filters the vector branch and post-filters the text branch.
+// Each branch contributes up to `candidateLimit` documents; pass `limit` to trim the fused list.
+// `explain` (see explain.js) receives both pipelines, candidate counts and branch timings.
+export async function runHybridSearch(collection, {
+    queryVector,
+    vectorPath = DEFAULT_VECTOR_PATH,
+    vectorIndex = DEFAULT_VECTOR_INDEX,
+    searchStage,
+    project,
+    exclude,
+    filter,
+    limit,
+    candidateLimit = 20,
+    numCandidates = 100,
+    method,
+    weights,
+    k,
+    explain = NO_EXPLAIN
+}) {
+    const projectStage = project ? [{ $project: { ...project, score: 1 } }] : [{ $project: exclude || { [vectorPath]: 0 } }];
+
+    const vectorPipeline = [
+        ...vectorSearchPipeline({
+            queryVector,
+            path: vectorPath,
+            index: vectorIndex,
+            numCandidates: Math.max(numCandidates, candidateLimit),
+            limit: candidateLimit,
+            filter
+        }),
+        ...projectStage
+    ];
+
+    const textPipeline = [
+        searchStage,
+        // $search cannot see every filter field, so the text branch filters after matching
+        ...(filter ? [{ $match: filter }] : []),
+        { $limit: candidateLimit },
+        { $addFields: { score: { $meta: 'searchScore' } } },
+        ...projectStage
+    ];
+
+    explain.pipeline('vector', vectorPipeline);
+    explain.pipeline('text', textPipeline);
+    const [vectorResults, textResults] = await Promise.all([
+        explain.time('vectorSearch', () => collection.aggregate(vectorPipeline).toArray()),
+        explain.time('textSearch', () => collection.aggregate(textPipeline).toArray())
+    ]);
+    console.log(`Hybrid search candidates: ${vectorResults.length} vector, ${textResults.length} text`);
+
+    const fused = await explain.time('fusion', () => fuseResults(vectorResults, textResults, { method, weights, k }));
+    explain.candidates('hybrid', { candidateLimit, numCandidates, vector: vectorResults.length, text: textResults.length, fused: fused.length });
+    explain.set('fusion', { method: method || 'rrf', weights: resolveWeights(weights), ...((method || 'rrf') === 'rrf' && { k: k ?? DEFAULT_RRF_K }) });
+    return limit ? fused.slice(0, limit) : fused;
+}
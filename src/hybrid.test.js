@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseResults, reciprocalRankFusion, resolveWeights, weightedScoreFusion } from './hybrid.js';
+
+const vector = [{ _id: 'a', score: 0.9 }, { _id: 'b', score: 0.8 }, { _id: 'c', score: 0.7 }];
+const text = [{ _id: 'b', score: 12 }, { _id: 'd', score: 6 }];
+
+const order = results => results.map(result => result._id);
+
+test('resolveWeights defaults to an even split and rejects unusable weights', () => {
+    assert.deepEqual(resolveWeights(), { vector: 0.5, text: 0.5 });
+    assert.deepEqual(resolveWeights({ vector: '2' }), { vector: 2, text: 0.5 });
+    assert.throws(() => resolveWeights({ vector: -1 }), /non-negative/);
+    assert.throws(() => resolveWeights({ vector: 0, text: 0 }), /not both zero/);
+});
+
+test('reciprocal rank fusion favours documents found by both searches', () => {
+    const fused = reciprocalRankFusion([
+        { name: 'vector', results: vector },
+        { name: 'text', results: text }
+    ], { k: 60 });
+
+    assert.deepEqual(order(fused), ['b', 'a', 'd', 'c']);
+    assert.equal(fused[0].score, 1);
+    assert.equal(fused[0].vectorRank, 2);
+    assert.equal(fused[0].textRank, 1);
+    assert.equal(fused.find(result => result._id === 'c').textRank, undefined);
+});
+
+test('weighted fusion normalises each list before weighing it', () => {
+    const fused = weightedScoreFusion([
+        { name: 'vector', results: vector, weight: 1 },
+        { name: 'text', results: text, weight: 0 }
+    ]);
+    assert.deepEqual(order(fused), ['a', 'b', 'c', 'd']);
+    assert.equal(fused.at(-1).fusedScore, 0);
+});
+
+test('equal scores are ordered by id so pages stay stable', () => {
+    const fused = reciprocalRankFusion([
+        { name: 'vector', results: [{ _id: 'y' }] },
+        { name: 'text', results: [{ _id: 'x' }] }
+    ]);
+    assert.deepEqual(order(fused), ['x', 'y']);
+});
+
+test('fuseResults rejects unknown fusion methods', () => {
+    assert.deepEqual(order(fuseResults(vector, text)), ['b', 'a', 'd', 'c']);
+    assert.throws(() => fuseResults(vector, text, { method: 'borda' }), /Unsupported fusion method: borda/);
+});
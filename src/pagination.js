@@ -0,0 +1,130 @@
+// Page/pageSize and opaque cursor handling shared by the search endpoints
+import { badRequest } from './errors.js';
+
+const CURSOR_VERSION = 1;
+
+export const DEFAULT_PAGINATION_LIMITS = {
+    defaultPageSize: 10,
+    maxPageSize: 50,
+    defaultNumCandidates: 100,
+    minNumCandidates: 10,
+    maxNumCandidates: 1000,
+    // Upper bound on how deep any query can page
+    maxResultWindow: 200
+};
+
+function toInteger(value, field) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw badRequest(`"${field}" must be an integer`, { field });
+    }
+    return number;
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export function encodeCursor({ fingerprint, page, pageSize, numCandidates }) {
+    const payload = { v: CURSOR_VERSION, f: fingerprint, p: page, s: pageSize, n: numCandidates };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+export function decodeCursor(cursor, fingerprint) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw badRequest('Invalid cursor', { field: 'cursor' });
+    }
+    if (payload?.v !== CURSOR_VERSION || !Number.isInteger(payload.p) || !Number.isInteger(payload.s)) {
+        throw badRequest('Invalid cursor', { field: 'cursor' });
+    }
+    if (payload.f !== fingerprint) {
+        throw badRequest('Cursor belongs to a different query', { field: 'cursor' });
+    }
+    return { page: payload.p, pageSize: payload.s, numCandidates: payload.n };
+}
+
+// Resolve the paging request. A cursor wins over page/pageSize/numCandidates so
+// later pages keep the exact settings of the first one. `fingerprint` identifies
+// the query (type + text) the cursor is valid for.
+export function parsePagination(input = {}, fingerprint, limits = DEFAULT_PAGINATION_LIMITS) {
+    const settings = { ...DEFAULT_PAGINATION_LIMITS, ...limits };
+    const requested = input.cursor
+        ? decodeCursor(input.cursor, fingerprint)
+        : {
+            page: toInteger(input.page, 'page'),
+            pageSize: toInteger(input.pageSize, 'pageSize'),
+            numCandidates: toInteger(input.numCandidates, 'numCandidates')
+        };
+
+    const page = Math.max(requested.page ?? 1, 1);
+    const pageSize = clamp(requested.pageSize ?? settings.defaultPageSize, 1, settings.maxPageSize);
+    const numCandidates = clamp(
+        requested.numCandidates ?? settings.defaultNumCandidates,
+        settings.minNumCandidates,
+        settings.maxNumCandidates
+    );
+
+    return {
+        page,
+        pageSize,
+        skip: (page - 1) * pageSize,
+        numCandidates,
+        // Every page of a query reads the same fixed window, so vector search
+        // returns the same candidate set no matter which page is asked for
+        window: Math.min(numCandidates, settings.maxResultWindow),
+        // Cap for result sets that are not bounded by numCandidates (find, $search)
+        maxWindow: settings.maxResultWindow,
+        fingerprint
+    };
+}
+
+// Wrap a pipeline so one round trip returns the page and the total match count.
+// `extraFacets` adds sub-pipelines over the same matches (e.g. the top score).
+export function paginatePipeline(pipeline, paging, resultStages = [], extraFacets = {}) {
+    return [
+        ...pipeline,
+        {
+            $facet: {
+                results: [{ $skip: paging.skip }, { $limit: paging.pageSize }, ...resultStages],
+                total: [{ $count: 'count' }],
+                ...extraFacets
+            }
+        }
+    ];
+}
+
+export function pageInfo(paging, total, { capped = false } = {}) {
+    const hasMore = paging.skip + paging.pageSize < total;
+    return {
+        page: paging.page,
+        pageSize: paging.pageSize,
+        total,
+        // 'gte' when the result window cut the match list short
+        totalRelation: capped ? 'gte' : 'eq',
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ ...paging, page: paging.page + 1 }) : null,
+        numCandidates: paging.numCandidates
+    };
+}
+
+// Unpack the output of a paginatePipeline() aggregation.
+// `window` is the $limit the candidates were capped at, if any.
+export function fromFacet([facet] = [], paging, { window } = {}) {
+    const total = facet?.total?.[0]?.count ?? 0;
+    return {
+        results: facet?.results ?? [],
+        pagination: pageInfo(paging, total, { capped: window !== undefined && total >= window })
+    };
+}
+
+// Page an in-memory list (used for fused hybrid results)
+export function fromArray(items, paging, { window } = {}) {
+    return {
+        results: items.slice(paging.skip, paging.skip + paging.pageSize),
+        pagination: pageInfo(paging, items.length, { capped: window !== undefined && items.length >= window })
+    };
+}
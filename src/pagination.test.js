@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, fromArray, pageInfo, parsePagination } from './pagination.js';
+
+test('parsePagination applies defaults and clamps to the limits', () => {
+    assert.deepEqual(parsePagination({}, 'fp'), {
+        page: 1,
+        pageSize: 10,
+        skip: 0,
+        numCandidates: 100,
+        window: 100,
+        maxWindow: 200,
+        fingerprint: 'fp'
+    });
+
+    const paging = parsePagination({ page: '3', pageSize: '500', numCandidates: '1' }, 'fp');
+    assert.equal(paging.page, 3);
+    assert.equal(paging.pageSize, 50);
+    assert.equal(paging.skip, 100);
+    assert.equal(paging.numCandidates, 10);
+});
+
+test('parsePagination rejects non-integer values', () => {
+    assert.throws(() => parsePagination({ page: '1.5' }, 'fp'), { status: 400, details: { field: 'page' } });
+});
+
+test('a cursor pins the settings of the first page', () => {
+    const cursor = encodeCursor({ fingerprint: 'fp', page: 2, pageSize: 20, numCandidates: 150 });
+    const paging = parsePagination({ cursor, pageSize: '5' }, 'fp');
+    assert.equal(paging.page, 2);
+    assert.equal(paging.pageSize, 20);
+    assert.equal(paging.numCandidates, 150);
+});
+
+test('decodeCursor refuses malformed cursors and cursors of another query', () => {
+    const cursor = encodeCursor({ fingerprint: 'fp', page: 2, pageSize: 10, numCandidates: 100 });
+    assert.throws(() => decodeCursor(cursor, 'other'), { status: 400, message: 'Cursor belongs to a different query' });
+    assert.throws(() => decodeCursor('not-a-cursor', 'fp'), { status: 400, message: 'Invalid cursor' });
+    const wrongVersion = Buffer.from(JSON.stringify({ v: 99, f: 'fp', p: 1, s: 10 })).toString('base64url');
+    assert.throws(() => decodeCursor(wrongVersion, 'fp'), { message: 'Invalid cursor' });
+});
+
+test('pageInfo links to the next page only while results remain', () => {
+    const paging = parsePagination({ pageSize: 10 }, 'fp');
+    const first = pageInfo(paging, 25);
+    assert.equal(first.hasMore, true);
+    assert.equal(decodeCursor(first.nextCursor, 'fp').page, 2);
+
+    const last = pageInfo(parsePagination({ page: 3, pageSize: 10 }, 'fp'), 25);
+    assert.equal(last.hasMore, false);
+    assert.equal(last.nextCursor, null);
+});
+
+test('fromArray slices the page and marks totals cut off by the window', () => {
+    const items = Array.from({ length: 12 }, (_, i) => i);
+    const { results, pagination } = fromArray(items, parsePagination({ page: 2, pageSize: 5 }, 'fp'), { window: 12 });
+    assert.deepEqual(results, [5, 6, 7, 8, 9]);
+    assert.equal(pagination.total, 12);
+    assert.equal(pagination.totalRelation, 'gte');
+});
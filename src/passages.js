@@ -0,0 +1,145 @@
+// Passage-level chunking of long book texts and retrieval grouped by parent book
+import { hashText } from './cache.js';
+import { embeddingFields } from './embeddings/index.js';
+import { vectorSearchPipeline } from './vectorSearch.js';
+
+export const PASSAGE_FIELDS = ['summary', 'contents', 'significance'];
+export const PASSAGE_VECTOR_PATH = 'embedding';
+export const PASSAGE_VECTOR_INDEX = 'passage_vector_index';
+
+// Each window must move past the previous one; an overlap as long as the chunk would
+// advance one word at a time and multiply the passages embedded and stored
+export function validateChunking({ chunkWords, overlapWords }) {
+    if (!Number.isInteger(chunkWords) || chunkWords < 1) {
+        throw new Error(`PASSAGE_CHUNK_WORDS must be a positive integer, got ${chunkWords}`);
+    }
+    if (!Number.isInteger(overlapWords) || overlapWords < 0 || overlapWords >= chunkWords) {
+        throw new Error(`PASSAGE_OVERLAP_WORDS must be an integer from 0 to PASSAGE_CHUNK_WORDS - 1 (${chunkWords - 1}), got ${overlapWords}`);
+    }
+}
+
+// Split text into windows of `chunkWords` words that overlap by `overlapWords`, so a
+// sentence cut at one boundary is still whole in the neighbouring passage.
+// Windows end on a sentence boundary when one falls in their last third. Whatever the
+// overlap, each window starts at least half a chunk after the previous one.
+export function chunkText(text, { chunkWords = 200, overlapWords = 40 } = {}) {
+    validateChunking({ chunkWords, overlapWords });
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    if (words.length <= chunkWords) {
+        return words.length > 0 ? [words.join(' ')] : [];
+    }
+
+    const chunks = [];
+    let start = 0;
+
+    while (start < words.length) {
+        let end = Math.min(start + chunkWords, words.length);
+        if (end < words.length) {
+            const minEnd = start + Math.floor(chunkWords * 2 / 3);
+            for (let i = end; i > minEnd; i--) {
+                if (/[.!?]["')\]]*$/.test(words[i - 1])) {
+                    end = i;
+                    break;
+                }
+            }
+        }
+        chunks.push(words.slice(start, end).join(' '));
+        if (end >= words.length) break;
+        start = Math.max(end - overlapWords, start + Math.ceil(chunkWords / 2));
+    }
+    return chunks;
+}
+
+// One passage document per chunk of every text field of the book
+export function buildBookPassages(book, options) {
+    return PASSAGE_FIELDS.flatMap(field =>
+        chunkText(book[field], options).map((text, index) => ({
+            bookId: book._id,
+            title: book.title,
+            field,
+            index,
+            text,
+            textHash: hashText(text)
+        }))
+    );
+}
+
+// Options for ensureVectorIndex(); bookId is a filter so Q&A can be scoped to books
+export const passageIndexOptions = dimensions => ({
+    name: PASSAGE_VECTOR_INDEX,
+    path: PASSAGE_VECTOR_PATH,
+    dimensions,
+    filterPaths: ['bookId']
+});
+
+export async function ensurePassageIndexes(collection) {
+    await collection.createIndex({ bookId: 1, field: 1, index: 1 }, { unique: true });
+}
+
+// Replace a book's passages. Passages whose text did not change keep their
+// embedding, so re-ingesting an unchanged book costs no embedding calls.
+export async function ingestBookPassages(collection, book, { embed, provider, chunking }) {
+    const passages = buildBookPassages(book, chunking);
+    const existing = await collection
+        .find({ bookId: book._id }, { projection: { textHash: 1, [PASSAGE_VECTOR_PATH]: 1, [`${PASSAGE_VECTOR_PATH}_meta`]: 1 } })
+        .toArray();
+    const reusable = new Map(existing
+        .filter(doc => doc[`${PASSAGE_VECTOR_PATH}_meta`]?.model === provider.model)
+        .map(doc => [doc.textHash, doc]));
+
+    let embedded = 0;
+    const docs = [];
+    for (const passage of passages) {
+        const previous = reusable.get(passage.textHash);
+        const vectorFields = previous
+            ? { [PASSAGE_VECTOR_PATH]: previous[PASSAGE_VECTOR_PATH], [`${PASSAGE_VECTOR_PATH}_meta`]: previous[`${PASSAGE_VECTOR_PATH}_meta`] }
+            : embeddingFields(PASSAGE_VECTOR_PATH, await embed(`${book.title}\n${passage.text}`), provider);
+        if (!previous) embedded++;
+        docs.push({ ...passage, ...vectorFields, updatedAt: new Date() });
+    }
+
+    await collection.deleteMany({ bookId: book._id });
+    if (docs.length > 0) {
+        await collection.insertMany(docs);
+    }
+    return { passages: docs.length, embedded, reused: docs.length - embedded };
+}
+
+export function passageSearchPipeline(queryVector, { limit = 8, numCandidates = 150, filter } = {}) {
+    return [
+        ...vectorSearchPipeline({
+            queryVector,
+            path: PASSAGE_VECTOR_PATH,
+            index: PASSAGE_VECTOR_INDEX,
+            numCandidates,
+            limit,
+            filter
+        }),
+        { $project: { bookId: 1, title: 1, field: 1, index: 1, text: 1, score: 1 } }
+    ];
+}
+
+// Group passage hits under their parent book, best book first. `books` supplies
+// parent fields (summary etc.) keyed by id string.
+export function groupPassagesByBook(passages, books = new Map()) {
+    const groups = new Map();
+
+    for (const passage of passages) {
+        const key = String(passage.bookId);
+        if (!groups.has(key)) {
+            const parent = books.get(key) || {};
+            groups.set(key, { ...parent, _id: passage.bookId, title: parent.title || passage.title, score: 0, passages: [] });
+        }
+        const group = groups.get(key);
+        group.score = Math.max(group.score, passage.score);
+        group.passages.push({
+            _id: passage._id,
+            field: passage.field,
+            index: passage.index,
+            text: passage.text,
+            score: passage.score
+        });
+    }
+
+    return [...groups.values()].sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBookPassages, chunkText, validateChunking } from './passages.js';
+
+// `count` numbered words, with a sentence ending after every `sentenceEvery` words
+const words = (count, sentenceEvery = 0) => Array.from({ length: count }, (_, i) =>
+    `w${i}${sentenceEvery && (i + 1) % sentenceEvery === 0 ? '.' : ''}`).join(' ');
+
+const firstWords = chunks => chunks.map(chunk => chunk.split(' ')[0]);
+
+test('chunkText keeps short text whole and skips empty text', () => {
+    assert.deepEqual(chunkText('one two  three', { chunkWords: 5, overlapWords: 1 }), ['one two three']);
+    assert.deepEqual(chunkText('   ', { chunkWords: 5, overlapWords: 1 }), []);
+});
+
+test('chunkText overlaps windows and covers every word', () => {
+    const chunks = chunkText(words(25), { chunkWords: 10, overlapWords: 2 });
+    assert.deepEqual(firstWords(chunks), ['w0', 'w8', 'w16']);
+    assert.ok(chunks.at(-1).endsWith('w24'));
+});
+
+test('chunkText ends windows on a sentence boundary in their last third', () => {
+    const chunks = chunkText(words(30, 8), { chunkWords: 10, overlapWords: 2 });
+    assert.ok(chunks[0].endsWith('w7.'));
+    assert.equal(firstWords(chunks)[1], 'w6');
+});
+
+test('chunkText advances at least half a chunk whatever the overlap', () => {
+    const chunks = chunkText(words(1000, 10), { chunkWords: 200, overlapWords: 199 });
+    assert.deepEqual(firstWords(chunks), ['w0', 'w100', 'w200', 'w300', 'w400', 'w500', 'w600', 'w700', 'w800']);
+});
+
+test('validateChunking refuses overlaps that are not smaller than the chunk', () => {
+    assert.throws(() => validateChunking({ chunkWords: 10, overlapWords: 10 }), /PASSAGE_OVERLAP_WORDS/);
+    assert.throws(() => validateChunking({ chunkWords: 0, overlapWords: 0 }), /PASSAGE_CHUNK_WORDS/);
+    assert.throws(() => chunkText('a b c', { chunkWords: 2, overlapWords: -1 }), /PASSAGE_OVERLAP_WORDS/);
+    validateChunking({ chunkWords: 10, overlapWords: 9 });
+});
+
+test('buildBookPassages numbers the chunks of each text field', () => {
+    const passages = buildBookPassages({ _id: 'b1', title: 'T', summary: words(15), contents: 'short' }, { chunkWords: 10, overlapWords: 2 });
+    assert.deepEqual(passages.map(p => `${p.field}:${p.index}`), ['summary:0', 'summary:1', 'contents:0']);
+    assert.equal(passages[2].text, 'short');
+    assert.ok(passages.every(p => p.bookId === 'b1' && p.textHash));
+});
@@ -0,0 +1,86 @@
+// Agreement between two ranked result lists, compared by document id
+
+const ids = list => list.map(item => String(item?._id ?? item));
+
+// Share of the top k of `a` that also appears in the top k of `b`
+export function overlapAtK(a, b, k) {
+    const top = new Set(ids(b).slice(0, k));
+    const shared = ids(a).slice(0, k).filter(id => top.has(id)).length;
+    return k > 0 ? shared / k : 0;
+}
+
+// |A ∩ B| / |A ∪ B| over the full lists; two empty lists agree completely
+export function jaccard(a, b) {
+    const left = new Set(ids(a));
+    const right = new Set(ids(b));
+    const union = new Set([...left, ...right]);
+    if (union.size === 0) return 1;
+    return [...left].filter(id => right.has(id)).length / union.size;
+}
+
+// Rank-biased overlap (Webber, Moffat & Zobel 2010), extrapolated to lists of different
+// lengths. Agreement near the top weighs more; `p` sets how steeply (0.9 puts ~86% of
+// the weight on the first 10 ranks). 1 means identical rankings, 0 means disjoint.
+export function rankBiasedOverlap(a, b, p = 0.9) {
+    const [short, long] = ids(a).length <= ids(b).length ? [ids(a), ids(b)] : [ids(b), ids(a)];
+    const s = short.length;
+    const l = long.length;
+    if (l === 0) return 1;
+    if (s === 0) return 0;
+
+    const seenShort = new Set();
+    const seenLong = new Set();
+    const overlapAt = [0];
+    let overlap = 0;
+    for (let d = 1; d <= l; d++) {
+        const fromLong = long[d - 1];
+        if (d <= s) {
+            const fromShort = short[d - 1];
+            if (fromShort === fromLong) {
+                overlap++;
+            } else {
+                if (seenLong.has(fromShort)) overlap++;
+                if (seenShort.has(fromLong)) overlap++;
+            }
+            seenShort.add(fromShort);
+        } else if (seenShort.has(fromLong)) {
+            overlap++;
+        }
+        seenLong.add(fromLong);
+        overlapAt.push(overlap);
+    }
+
+    let sum = 0;
+    for (let d = 1; d <= l; d++) {
+        sum += (overlapAt[d] / d) * p ** d;
+        if (d > s) sum += ((overlapAt[s] * (d - s)) / (s * d)) * p ** d;
+    }
+    return ((1 - p) / p) * sum + ((overlapAt[l] - overlapAt[s]) / l + overlapAt[s] / s) * p ** l;
+}
+
+// Graded relevance metrics. `relevant` maps document id -> grade (0 = not relevant).
+
+// Discounted cumulative gain with exponential gain (2^grade - 1)
+function dcg(grades) {
+    return grades.reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+}
+
+export function ndcgAtK(ranked, relevant, k) {
+    const gains = ids(ranked).slice(0, k).map(id => relevant[id] || 0);
+    const ideal = Object.values(relevant).filter(grade => grade > 0).sort((a, b) => b - a).slice(0, k);
+    const best = dcg(ideal);
+    return best > 0 ? dcg(gains) / best : 0;
+}
+
+// 1 / rank of the first relevant result, 0 when none is returned
+export function reciprocalRank(ranked, relevant) {
+    const position = ids(ranked).findIndex(id => (relevant[id] || 0) > 0);
+    return position === -1 ? 0 : 1 / (position + 1);
+}
+
+export function recallAtK(ranked, relevant, k) {
+    const wanted = Object.keys(relevant).filter(id => relevant[id] > 0);
+    if (wanted.length === 0) return 0;
+    const top = new Set(ids(ranked).slice(0, k));
+    return wanted.filter(id => top.has(id)).length / wanted.length;
+}
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { jaccard, ndcgAtK, overlapAtK, rankBiasedOverlap, recallAtK, reciprocalRank } from './rankMetrics.js';
+
+test('overlapAtK and jaccard compare lists by document id', () => {
+    assert.equal(overlapAtK(['a', 'b', 'c'], [{ _id: 'c' }, { _id: 'a' }, { _id: 'x' }], 2), 0.5);
+    assert.equal(jaccard(['a', 'b'], ['b', 'c']), 1 / 3);
+    assert.equal(jaccard([], []), 1);
+});
+
+test('rankBiasedOverlap is 1 for identical and 0 for disjoint rankings', () => {
+    assert.equal(rankBiasedOverlap(['a', 'b', 'c'], ['a', 'b', 'c']), 1);
+    assert.equal(rankBiasedOverlap(['a', 'b'], ['c', 'd']), 0);
+    assert.equal(rankBiasedOverlap([], []), 1);
+    assert.equal(rankBiasedOverlap([], ['a']), 0);
+});
+
+test('rankBiasedOverlap weighs agreement at the top more', () => {
+    const swappedTop = rankBiasedOverlap(['a', 'b', 'c', 'd'], ['b', 'a', 'c', 'd']);
+    const swappedBottom = rankBiasedOverlap(['a', 'b', 'c', 'd'], ['a', 'b', 'd', 'c']);
+    assert.ok(swappedTop < swappedBottom);
+    assert.ok(swappedBottom < 1);
+});
+
+test('graded relevance metrics', () => {
+    const relevant = { a: 3, b: 1, c: 0 };
+    assert.equal(ndcgAtK(['a', 'b'], relevant, 2), 1);
+    assert.ok(ndcgAtK(['b', 'a'], relevant, 2) < 1);
+    assert.equal(ndcgAtK(['x'], {}, 1), 0);
+
+    assert.equal(reciprocalRank(['c', 'x', 'b'], relevant), 1 / 3);
+    assert.equal(reciprocalRank(['x'], relevant), 0);
+
+    assert.equal(recallAtK(['a', 'x'], relevant, 2), 0.5);
+    assert.equal(recallAtK(['a'], {}, 1), 0);
+});
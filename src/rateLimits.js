@@ -0,0 +1,203 @@
+// Per-client request rate limits and daily OpenAI token / cost budgets.
+// Clients are API keys (res.locals.apiKey, see apiKeys.js) or, without a key, IP addresses.
+import { HttpError } from './errors.js';
+
+// USD per million tokens for the chat models the routes call. Unknown models count
+// tokens but no cost.
+export const CHAT_MODEL_PRICES = {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-0125-preview': { input: 10, output: 30 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 }
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Totals the tokens and estimated cost of the paid calls made for one request.
+// Cache hits make no call and cost nothing. settle(charge) charges the totals so far;
+// usage recorded afterwards (e.g. by a stream the client aborted) is charged as it comes in.
+export function createUsageMeter() {
+    const totals = { tokens: 0, costUsd: 0 };
+    let charge;
+    const add = (tokens, costUsd) => {
+        totals.tokens += tokens;
+        totals.costUsd += costUsd;
+        if (charge && (tokens > 0 || costUsd > 0)) charge({ tokens, costUsd });
+    };
+
+    return {
+        totals,
+        settle(chargeFn) {
+            charge = chargeFn;
+            if (totals.tokens > 0 || totals.costUsd > 0) charge({ ...totals });
+        },
+        // `usage` is the { prompt_tokens, completion_tokens, total_tokens } OpenAI returns
+        chat(model, usage) {
+            if (!usage) return;
+            const price = CHAT_MODEL_PRICES[model] || { input: 0, output: 0 };
+            const input = usage.prompt_tokens || 0;
+            const output = usage.completion_tokens || 0;
+            add(usage.total_tokens ?? input + output, (input * price.input + output * price.output) / 1e6);
+        },
+        embedding(provider, usage) {
+            if (!usage) return;
+            const tokens = usage.total_tokens ?? usage.prompt_tokens ?? 0;
+            add(tokens, tokens * (provider.pricePerMillionTokens || 0) / 1e6);
+        }
+    };
+}
+
+// Records nothing; the default for helpers called outside a metered request
+export const NO_USAGE = { totals: { tokens: 0, costUsd: 0 }, chat() {}, embedding() {}, settle() {} };
+
+// Limiter state: counters that reset when their window ends. Both stores take
+// increment(key, amounts, expiresAt) -> totals after the increment, and get(key) -> totals.
+export function createMemoryStore({ maxEntries = 10000 } = {}) {
+    const entries = new Map();
+    const live = (entry, now) => entry && entry.expiresAt > now;
+
+    function sweep(now) {
+        for (const [key, entry] of entries) {
+            if (!live(entry, now)) entries.delete(key);
+        }
+    }
+
+    return {
+        async increment(key, amounts, expiresAt) {
+            const now = new Date();
+            let entry = entries.get(key);
+            if (!live(entry, now)) {
+                if (entries.size >= maxEntries) sweep(now);
+                entry = { totals: {}, expiresAt };
+                entries.set(key, entry);
+            }
+            for (const [field, amount] of Object.entries(amounts)) {
+                entry.totals[field] = (entry.totals[field] || 0) + amount;
+            }
+            return { ...entry.totals };
+        },
+        async get(key) {
+            const entry = entries.get(key);
+            return live(entry, new Date()) ? { ...entry.totals } : {};
+        }
+    };
+}
+
+// Shared between server instances. A TTL index removes finished windows; keys carry
+// their window start, so a document that outlives its window is never read again.
+export function createMongoStore(getCollection) {
+    const upsert = (key, amounts, expiresAt) => getCollection().findOneAndUpdate(
+        { _id: key },
+        { $inc: amounts, $setOnInsert: { expiresAt } },
+        { upsert: true, returnDocument: 'after', projection: { _id: 0, expiresAt: 0 } }
+    );
+
+    return {
+        async increment(key, amounts, expiresAt) {
+            let doc;
+            try {
+                doc = await upsert(key, amounts, expiresAt);
+            } catch (error) {
+                // Two first hits on a new key can both try to insert; the loser updates
+                // the document the winner created
+                if (error.code !== 11000) throw error;
+                doc = await upsert(key, amounts, expiresAt);
+            }
+            return doc || {};
+        },
+        async get(key) {
+            return await getCollection().findOne({ _id: key }, { projection: { _id: 0, expiresAt: 0 } }) || {};
+        }
+    };
+}
+
+export async function ensureRateLimitIndexes(collection) {
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+const clientOf = (req, res) => res.locals.apiKey
+    ? { id: `key:${res.locals.apiKey._id}`, kind: 'perKey' }
+    : { id: `ip:${req.ip}`, kind: 'perIp' };
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+function tooManyRequests(res, message, code, details) {
+    res.setHeader('Retry-After', String(details.retryAfterSeconds));
+    return new HttpError(429, message, details, code);
+}
+
+// limit(bucket) is route middleware; `bucket` names an entry of `buckets`
+// ({ perKey, perIp } requests per window) or is a function of the request returning one.
+// Buckets with `budgeted: true` also refuse clients whose daily budget
+// ({ perKey, perIp } of { tokens, costUsd }, reset at 00:00 UTC; 0 = unlimited) is spent.
+// Every limited request gets res.locals.usage, charged to the client's budget once the
+// response ends.
+export function createRateLimiter({ store, windowSeconds = 60, buckets, dailyBudget, enabled = true, logger = console }) {
+    const windowMs = windowSeconds * 1000;
+
+    async function checkRate(bucketName, client, res, now) {
+        const limit = buckets[bucketName][client.kind];
+        if (!limit) return;
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const resetAt = new Date(windowStart + windowMs);
+        const { count } = await store.increment(`rate:${bucketName}:${client.id}:${windowStart}`, { count: 1 }, resetAt);
+
+        res.setHeader('RateLimit-Limit', String(limit));
+        res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - count)));
+        res.setHeader('RateLimit-Reset', String(secondsUntil(resetAt, now)));
+        if (count > limit) {
+            throw tooManyRequests(res, `Rate limit exceeded for ${bucketName} requests`, 'rate_limited', {
+                bucket: bucketName,
+                limit,
+                windowSeconds,
+                retryAfterSeconds: secondsUntil(resetAt, now)
+            });
+        }
+    }
+
+    async function checkBudget(budgetKey, client, res, now, resetAt) {
+        const budget = dailyBudget[client.kind] || {};
+        const spent = await store.get(budgetKey);
+        const exhausted = ['tokens', 'costUsd'].filter(field => budget[field] > 0 && (spent[field] || 0) >= budget[field]);
+        if (exhausted.length > 0) {
+            throw tooManyRequests(res, 'Daily usage budget exhausted', 'budget_exhausted', {
+                exhausted,
+                budget,
+                spent: { tokens: spent.tokens || 0, costUsd: Number((spent.costUsd || 0).toFixed(6)) },
+                resetAt,
+                retryAfterSeconds: secondsUntil(resetAt, now)
+            });
+        }
+    }
+
+    const limit = bucket => async (req, res, next) => {
+        if (!enabled) {
+            res.locals.usage = NO_USAGE;
+            return next();
+        }
+        try {
+            const bucketName = typeof bucket === 'function' ? bucket(req) : bucket;
+            const client = clientOf(req, res);
+            const now = new Date();
+            const day = new Date(Math.floor(now / DAY_MS) * DAY_MS);
+            const resetAt = new Date(day.getTime() + DAY_MS);
+            const budgetKey = `budget:${client.id}:${day.toISOString().slice(0, 10)}`;
+
+            await checkRate(bucketName, client, res, now);
+            if (buckets[bucketName].budgeted) {
+                await checkBudget(budgetKey, client, res, now, resetAt);
+            }
+
+            const usage = createUsageMeter();
+            res.locals.usage = usage;
+            res.on('close', () => usage.settle(spent => {
+                store.increment(budgetKey, spent, resetAt)
+                    .catch(error => logger.warn('Failed to charge usage budget:', error.message));
+            }));
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    return { limit };
+}
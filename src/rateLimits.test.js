@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createMemoryStore, createMongoStore, createRateLimiter, createUsageMeter } from './rateLimits.js';
+
+const buckets = {
+    cheap: { perKey: 0, perIp: 2 },
+    expensive: { perKey: 0, perIp: 5, budgeted: true }
+};
+const dailyBudget = { perKey: {}, perIp: { tokens: 100, costUsd: 0 } };
+
+function response() {
+    const res = new EventEmitter();
+    res.headers = {};
+    res.locals = {};
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    return res;
+}
+
+// Run the middleware and resolve with { res, error } once it calls next()
+function hit(limit, bucket, ip = '203.0.113.7') {
+    const res = response();
+    return new Promise(resolve => {
+        limit(bucket)({ ip }, res, error => resolve({ res, error }));
+    });
+}
+
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+test('createUsageMeter prices chat tokens per model', () => {
+    const usage = createUsageMeter();
+    usage.chat('gpt-4o-mini', { prompt_tokens: 1000, completion_tokens: 1000 });
+    usage.chat('unknown-model', { total_tokens: 50 });
+    usage.chat('gpt-4', undefined);
+    assert.equal(usage.totals.tokens, 2050);
+    assert.equal(usage.totals.costUsd, (1000 * 0.15 + 1000 * 0.6) / 1e6);
+});
+
+test('limit refuses requests over the window limit with Retry-After', async () => {
+    // A long window, so the three hits cannot straddle a window boundary
+    const { limit } = createRateLimiter({ store: createMemoryStore(), windowSeconds: 3600, buckets, dailyBudget });
+    assert.equal((await hit(limit, 'cheap')).error, undefined);
+    const second = await hit(limit, 'cheap');
+    assert.equal(second.error, undefined);
+    assert.equal(second.res.headers['RateLimit-Remaining'], '0');
+
+    const { res, error } = await hit(limit, 'cheap');
+    assert.equal(error.status, 429);
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(res.headers['Retry-After'], String(error.details.retryAfterSeconds));
+    assert.equal((await hit(limit, 'cheap', '198.51.100.1')).error, undefined);
+});
+
+test('spent usage exhausts the daily budget for budgeted buckets only', async () => {
+    const { limit } = createRateLimiter({ store: createMemoryStore(), buckets, dailyBudget });
+    const { res } = await hit(limit, 'expensive');
+    res.locals.usage.chat('gpt-4', { prompt_tokens: 60, completion_tokens: 40 });
+    res.emit('close');
+    await settled();
+
+    const { error } = await hit(limit, 'expensive');
+    assert.equal(error.code, 'budget_exhausted');
+    assert.deepEqual(error.details.exhausted, ['tokens']);
+    assert.equal(error.details.spent.tokens, 100);
+    assert.equal((await hit(limit, 'cheap')).error, undefined);
+});
+
+test('usage recorded after the response closed is still charged', async () => {
+    const { limit } = createRateLimiter({ store: createMemoryStore(), buckets, dailyBudget });
+    const { res } = await hit(limit, 'expensive');
+    res.emit('close');
+    res.locals.usage.chat('gpt-4', { prompt_tokens: 100, completion_tokens: 0 });
+    await settled();
+
+    assert.equal((await hit(limit, 'expensive')).error.code, 'budget_exhausted');
+});
+
+test('createMongoStore retries the upsert once after a duplicate key error', async () => {
+    let calls = 0;
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const store = createMongoStore(() => ({
+        async findOneAndUpdate(filter, update) {
+            calls += 1;
+            if (calls === 1) throw duplicate;
+            return { count: update.$inc.count };
+        }
+    }));
+    assert.deepEqual(await store.increment('rate:cheap', { count: 1 }, new Date()), { count: 1 });
+    assert.equal(calls, 2);
+
+    const failing = createMongoStore(() => ({
+        async findOneAndUpdate() {
+            throw Object.assign(new Error('not primary'), { code: 10107 });
+        }
+    }));
+    await assert.rejects(failing.increment('rate:cheap', { count: 1 }, new Date()), /not primary/);
+});
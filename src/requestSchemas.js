@@ -0,0 +1,183 @@
+// Request schemas for the HTTP routes, checked by validateRequest (http.js).
+// Nested filter objects are checked further by filters.js.
+import { API_KEY_SCOPES } from './apiKeys.js';
+import { DOCUMENT_TYPES } from './documents.js';
+import { FEEDBACK_SCHEMA } from './feedback.js';
+import { FUSION_METHODS } from './hybrid.js';
+import { SEARCH_INDEX_TYPES, VECTOR_SIMILARITIES } from './searchIndexes.js';
+
+export const PRODUCT_SEARCH_TYPES = ['basic', 'atlas', 'vector', 'semantic', 'image', 'hybrid'];
+export const BOOK_SEARCH_TYPES = ['vector', 'semantic', 'concept', 'hybrid'];
+export const ANCIENT_TEXT_SEARCH_TYPES = ['basic', 'vector', 'semantic', 'concept'];
+
+const objectId = { type: 'string', pattern: /^[0-9a-fA-F]{24}$/, patternMessage: 'must be a 24-character hex id' };
+const searchQuery = { type: 'string', maxLength: 1000 };
+const name = { type: 'string', required: true, maxLength: 255 };
+
+export const ID_PARAMS = { id: { ...objectId, required: true } };
+
+// Bounds beyond these are clamped by parsePagination
+const PAGING = {
+    page: { type: 'integer', min: 1 },
+    pageSize: { type: 'integer', min: 1 },
+    numCandidates: { type: 'integer', min: 1 },
+    cursor: { type: 'string', maxLength: 500 }
+};
+
+const HYBRID = {
+    fusion: { type: 'string', enum: FUSION_METHODS },
+    weights: {
+        type: 'object',
+        properties: { vector: { type: 'number', min: 0 }, text: { type: 'number', min: 0 } }
+    },
+    rrfK: { type: 'number', min: 1 }
+};
+
+const SEARCH_OPTIONS = { ...PAGING, ...HYBRID, explain: { type: 'boolean' } };
+
+// `query` is required for every type but image, which needs the upload instead
+export const SEARCH_BODY = {
+    type: { type: 'string', required: true, enum: PRODUCT_SEARCH_TYPES },
+    query: searchQuery,
+    filters: { type: 'object' },
+    feedback: { type: 'boolean' },
+    ...SEARCH_OPTIONS
+};
+
+export const COMPARE_BODY = {
+    query: { ...searchQuery, required: true },
+    types: { type: 'array', minLength: 2, items: { type: 'string', enum: PRODUCT_SEARCH_TYPES } },
+    filters: { type: 'object' },
+    pageSize: PAGING.pageSize,
+    rboP: { type: 'number', min: 0.01, max: 0.99 },
+    feedback: { type: 'boolean' },
+    ...HYBRID,
+    explain: { type: 'boolean' }
+};
+
+export const BOOK_SEARCH_BODY = {
+    type: { type: 'string', required: true, enum: BOOK_SEARCH_TYPES },
+    query: { ...searchQuery, required: true },
+    filters: { type: 'object' },
+    era: { type: 'string', maxLength: 100 },
+    ...SEARCH_OPTIONS
+};
+
+export const ANCIENT_TEXT_SEARCH_BODY = {
+    type: { type: 'string', required: true, enum: ANCIENT_TEXT_SEARCH_TYPES },
+    query: { ...searchQuery, required: true },
+    ...SEARCH_OPTIONS
+};
+
+export const ASK_BODY = {
+    question: { type: 'string', required: true, maxLength: 4000 },
+    sessionId: objectId
+};
+
+// Result feedback and document writes; their modules check the same schemas again
+// for callers outside the routes (bulk rows, scripts)
+export const FEEDBACK_BODY = FEEDBACK_SCHEMA;
+
+export const DOCUMENT_BODIES = Object.fromEntries(Object.entries(DOCUMENT_TYPES).map(([kind, { schema }]) => [kind, schema]));
+
+export const SESSION_BODY = { title: { type: 'string', maxLength: 200 } };
+
+export const RECOMMENDATION_QUERY = {
+    topic: { type: 'string', maxLength: 200 },
+    period: { type: 'string', maxLength: 100 },
+    keywords: { type: 'string', maxLength: 200 }
+};
+
+export const BULK_QUERY = { format: { type: 'string', enum: ['csv', 'ndjson'] } };
+
+export const REPORT_QUERY = {
+    hours: { type: 'number', min: 0 },
+    from: { type: 'string', maxLength: 40 },
+    to: { type: 'string', maxLength: 40 },
+    endpoint: { type: 'string', maxLength: 200 },
+    type: { type: 'string', maxLength: 50 },
+    limit: { type: 'integer', min: 1, max: 100 }
+};
+
+const connectionString = { type: 'string', maxLength: 2000 };
+
+// Atlas tooling takes either a connectionString or the id of a saved profile
+export const ATLAS_CONNECTION_BODY = {
+    connectionString,
+    profileId: objectId,
+    database: name,
+    collection: name
+};
+
+export const CONNECTION_PROFILE_BODY = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    connectionString: { ...connectionString, required: true }
+};
+
+export const ANALYZE_VECTORS_BODY = {
+    ...ATLAS_CONNECTION_BODY,
+    vectorField: name,
+    sampleSize: { type: 'integer', min: 1, max: 1000, default: 100 }
+};
+
+export const CLASSIFY_BODY = {
+    embeddings: {
+        type: 'array',
+        required: true,
+        minLength: 1,
+        maxLength: 50,
+        items: { type: 'array', minLength: 1, items: { type: 'number' } }
+    },
+    context: { type: 'string', maxLength: 2000 }
+};
+
+export const GENERATE_CODE_BODY = {
+    connectionDetails: {
+        type: 'object',
+        required: true,
+        allowUnknown: true,
+        properties: { connectionString, profileId: objectId, database: name, collection: name }
+    },
+    selectedField: name,
+    similarityMetric: { type: 'string', enum: VECTOR_SIMILARITIES, default: 'cosine' }
+};
+
+// Search index management: `collection` on our own cluster, plus `database` on a saved profile's
+export const SEARCH_INDEX_TARGET = { collection: name };
+export const PROFILE_SEARCH_INDEX_TARGET = { database: name, collection: name };
+
+const searchIndexName = { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/, patternMessage: 'may only contain letters, digits, _ and -' };
+
+export const SEARCH_INDEX_NAME_PARAMS = { name: { ...searchIndexName, required: true } };
+
+const SEARCH_INDEX_FIELDS = {
+    type: { type: 'string', enum: SEARCH_INDEX_TYPES },
+    path: { type: 'string', maxLength: 255 },
+    dimensions: { type: 'integer', min: 1, max: 8192 },
+    similarity: { type: 'string', enum: VECTOR_SIMILARITIES },
+    filterPaths: { type: 'array', maxLength: 50, items: { type: 'string', minLength: 1, maxLength: 255 } },
+    definition: { type: 'object' },
+    wait: { type: 'boolean', default: true }
+};
+
+export const SEARCH_INDEX_BODY = {
+    name: { ...searchIndexName, required: true },
+    ...SEARCH_INDEX_FIELDS,
+    type: { ...SEARCH_INDEX_FIELDS.type, default: 'vectorSearch' }
+};
+
+// The type is taken from the existing index
+export const UPDATE_SEARCH_INDEX_BODY = SEARCH_INDEX_FIELDS;
+
+const expiresInDays = { type: 'number', min: 0.01, max: 3650 };
+
+export const API_KEY_BODY = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    scopes: { type: 'array', required: true, minLength: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+    expiresInDays
+};
+
+export const ROTATE_API_KEY_BODY = {
+    graceMinutes: { type: 'number', min: 0, max: 7 * 24 * 60 },
+    expiresInDays
+};
@@ -0,0 +1,122 @@
+// Declarative validation for request payloads and documents.
+// A schema maps field names to rules:
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object',
+//     required, enum, min, max, minLength, maxLength, items, properties, pattern }
+// With `coerce`, strings from CSV rows, query strings or multipart forms are
+// converted to the declared type ("12.5" -> 12.5, "a;b" -> ['a', 'b']).
+
+function coerceValue(value, rule) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+
+    switch (rule.type) {
+        case 'number':
+        case 'integer':
+            return trimmed === '' ? value : Number(trimmed);
+        case 'boolean':
+            return trimmed === 'true' ? true : trimmed === 'false' ? false : value;
+        case 'array':
+            if (trimmed.startsWith('[')) {
+                try { return JSON.parse(trimmed); } catch { return value; }
+            }
+            return trimmed.split(/[;|]/).map(item => item.trim()).filter(Boolean);
+        case 'object':
+            try { return JSON.parse(trimmed); } catch { return value; }
+        default:
+            return value;
+    }
+}
+
+function checkType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+function validateField(value, rule, field, errors, options) {
+    if (options.coerce) {
+        value = coerceValue(value, rule);
+    }
+    if (typeof value === 'string' && rule.type === 'string') {
+        value = value.trim();
+    }
+
+    if (!checkType(value, rule.type)) {
+        errors.push({ field, message: `must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}` });
+        return undefined;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `must be at least ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, message: `must be at most ${rule.max}` });
+    }
+    const length = typeof value === 'string' || Array.isArray(value) ? value.length : undefined;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+        errors.push({ field, message: `must have at least ${rule.minLength} ${rule.type === 'array' ? 'items' : 'characters'}` });
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+        errors.push({ field, message: `must have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}` });
+    }
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+        errors.push({ field, message: rule.patternMessage || 'has an invalid format' });
+    }
+    if (rule.items && Array.isArray(value)) {
+        value = value.map((item, i) => validateField(item, rule.items, `${field}[${i}]`, errors, options));
+    }
+    if (rule.properties && checkType(value, 'object')) {
+        value = validateObject(rule.properties, value, field, errors, { ...options, allowUnknown: rule.allowUnknown ?? options.allowUnknown });
+    }
+    return value;
+}
+
+function validateObject(schema, input, prefix, errors, options) {
+    const output = {};
+    const source = input || {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const field = prefix ? `${prefix}.${name}` : name;
+        const value = source[name];
+        if (value === undefined || value === null || (value === '' && rule.type !== 'string')) {
+            if (rule.required) {
+                errors.push({ field, message: 'is required' });
+            } else if (rule.default !== undefined) {
+                output[name] = rule.default;
+            }
+            continue;
+        }
+        if (rule.required && rule.type === 'string' && typeof value === 'string' && value.trim() === '') {
+            errors.push({ field, message: 'is required' });
+            continue;
+        }
+        output[name] = validateField(value, rule, field, errors, options);
+    }
+
+    if (!options.allowUnknown) {
+        for (const name of Object.keys(source)) {
+            if (!(name in schema)) {
+                errors.push({ field: prefix ? `${prefix}.${name}` : name, message: 'is not allowed' });
+            }
+        }
+    }
+    return output;
+}
+
+// Returns { value, errors }. `value` holds only the declared (and coerced) fields.
+export function validate(schema, input, { coerce = false, allowUnknown = false } = {}) {
+    const errors = [];
+    if (input !== undefined && input !== null && !checkType(input, 'object')) {
+        return { value: undefined, errors: [{ field: '', message: 'must be an object' }] };
+    }
+    const value = validateObject(schema, input, '', errors, { coerce, allowUnknown });
+    return { value, errors };
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from './schema.js';
+
+const schema = {
+    name: { type: 'string', required: true, maxLength: 5 },
+    count: { type: 'integer', min: 1, default: 10 },
+    tags: { type: 'array', items: { type: 'string' } },
+    active: { type: 'boolean' },
+    kind: { type: 'string', enum: ['a', 'b'] },
+    range: { type: 'object', properties: { min: { type: 'number' } } }
+};
+
+test('validate returns only declared fields with defaults applied', () => {
+    const { value, errors } = validate(schema, { name: ' ok ', kind: 'a' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'ok', count: 10, kind: 'a' });
+});
+
+test('validate reports every failing field, nested ones by path', () => {
+    const { errors } = validate(schema, { name: '   ', count: 0, kind: 'c', range: { min: 'x' }, extra: 1 });
+    assert.deepEqual(errors, [
+        { field: 'name', message: 'is required' },
+        { field: 'count', message: 'must be at least 1' },
+        { field: 'kind', message: 'must be one of: a, b' },
+        { field: 'range.min', message: 'must be a number' },
+        { field: 'extra', message: 'is not allowed' }
+    ]);
+});
+
+test('validate coerces strings only when asked', () => {
+    const input = { name: 'x', count: '3', tags: 'a; b|c', active: 'true', range: '{"min":2}' };
+    assert.deepEqual(validate(schema, input, { coerce: true }).value, {
+        name: 'x', count: 3, tags: ['a', 'b', 'c'], active: true, range: { min: 2 }
+    });
+    assert.deepEqual(validate(schema, input).errors.map(e => e.field), ['count', 'tags', 'active', 'range']);
+});
+
+test('validate rejects input that is not an object', () => {
+    assert.deepEqual(validate(schema, ['x']).errors, [{ field: '', message: 'must be an object' }]);
+});
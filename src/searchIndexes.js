@@ -0,0 +1,175 @@
+// Atlas Vector Search and full-text ($search) index management for the index API:
+// list, create, update and drop, waiting for builds to become queryable.
+import { HttpError, notFound, validationError } from './errors.js';
+import { vectorIndexDefinition } from './vectorSearch.js';
+
+export const SEARCH_INDEX_TYPES = ['vectorSearch', 'search'];
+export const VECTOR_SIMILARITIES = ['cosine', 'euclidean', 'dotProduct'];
+
+// Full-text indexes without an explicit definition index every field
+const DYNAMIC_MAPPINGS = { mappings: { dynamic: true } };
+const VECTOR_OPTIONS = ['path', 'dimensions', 'similarity', 'filterPaths'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const fieldErrors = (fields, message) => validationError(fields.map(field => ({ field, location: 'body', message })));
+
+// The request body of the index API -> createSearchIndex() input.
+// Vector indexes are built from path/dimensions/similarity/filterPaths; full-text
+// indexes take a raw Atlas Search `definition`.
+export function searchIndexDefinition({ name, type, definition, ...options }) {
+    if (type === 'search') {
+        const vectorOnly = VECTOR_OPTIONS.filter(option => options[option] !== undefined);
+        if (vectorOnly.length > 0) {
+            throw fieldErrors(vectorOnly, 'only applies to vectorSearch indexes');
+        }
+        return { name, type, definition: definition || DYNAMIC_MAPPINGS };
+    }
+
+    if (definition) {
+        throw fieldErrors(['definition'], 'only applies to search indexes; describe vector indexes with path and dimensions');
+    }
+    const missing = ['path', 'dimensions'].filter(option => options[option] === undefined);
+    if (missing.length > 0) {
+        throw fieldErrors(missing, 'is required for vectorSearch indexes');
+    }
+    return vectorIndexDefinition({ name, ...options });
+}
+
+const vectorFieldOf = definition => definition?.fields?.find(field => field.type === 'vector');
+
+// listSearchIndexes() output in the shape the API returns
+export function describeSearchIndex(index) {
+    const vectorField = vectorFieldOf(index.latestDefinition);
+    return {
+        name: index.name,
+        // Indexes created before vector search existed carry no type
+        type: index.type || 'search',
+        status: index.status,
+        queryable: Boolean(index.queryable),
+        ...(index.statusDetail && { statusDetail: index.statusDetail }),
+        ...(vectorField && {
+            path: vectorField.path,
+            dimensions: vectorField.numDimensions,
+            similarity: vectorField.similarity
+        }),
+        definition: index.latestDefinition
+    };
+}
+
+// Vector lengths of up to `sampleSize` random documents: { sampled, dimensions: { <length>: count } }
+export async function sampleVectorDimensions(collection, path, sampleSize) {
+    const groups = await collection.aggregate([
+        { $match: { [path]: { $type: 'array' } } },
+        { $sample: { size: sampleSize } },
+        { $group: { _id: { $size: `$${path}` }, count: { $sum: 1 } } }
+    ]).toArray();
+    return {
+        sampled: groups.reduce((sum, { count }) => sum + count, 0),
+        dimensions: Object.fromEntries(groups.map(({ _id, count }) => [_id, count]))
+    };
+}
+
+// createSearchIndexManager(options) -> { list, create, update, drop }, each taking the
+// collection first. create and update refuse vector indexes whose dimensions do not
+// match sampled documents, then wait up to `readyTimeoutSeconds` for the build.
+export function createSearchIndexManager({ sampleSize = 50, readyTimeoutSeconds = 120, pollSeconds = 5 } = {}) {
+    async function find(collection, name) {
+        const [index] = await collection.listSearchIndexes(name).toArray();
+        return index;
+    }
+
+    async function checkDimensions(collection, index) {
+        const vectorField = vectorFieldOf(index.definition);
+        if (!vectorField) return undefined;
+
+        const sample = await sampleVectorDimensions(collection, vectorField.path, sampleSize);
+        const declared = vectorField.numDimensions;
+        const mismatched = Object.keys(sample.dimensions).map(Number).filter(length => length !== declared);
+        if (mismatched.length > 0) {
+            throw new HttpError(400, `Index declares ${declared} dimensions but documents in ${collection.collectionName} have vectors of length ${mismatched.join(', ')} at ${vectorField.path}`, {
+                field: 'dimensions',
+                declared,
+                ...sample
+            }, 'dimension_mismatch');
+        }
+        return { declared, ...sample };
+    }
+
+    // Poll until the index is READY. An update is only done once the version that
+    // follows `previousVersion` is built; until then the old definition stays queryable.
+    async function waitUntilReady(collection, name, previousVersion) {
+        const deadline = Date.now() + readyTimeoutSeconds * 1000;
+        for (;;) {
+            const index = await find(collection, name);
+            if (!index) {
+                throw notFound(`Search index ${name} disappeared while building`);
+            }
+            if (index.status === 'FAILED') {
+                throw new HttpError(422, `Search index ${name} failed to build`, describeSearchIndex(index), 'index_build_failed');
+            }
+            const version = index.latestDefinitionVersion?.version;
+            const current = previousVersion === undefined || version === undefined || version > previousVersion;
+            if (index.status === 'READY' && current) {
+                return { ready: true, index };
+            }
+            if (Date.now() >= deadline) {
+                return { ready: false, index };
+            }
+            await sleep(pollSeconds * 1000);
+        }
+    }
+
+    async function settle(collection, name, wait, previousVersion, dimensionCheck) {
+        const { ready, index } = wait
+            ? await waitUntilReady(collection, name, previousVersion)
+            : { ready: false, index: await find(collection, name) };
+        return {
+            ready,
+            index: index ? describeSearchIndex(index) : { name, status: 'PENDING', queryable: false },
+            ...(dimensionCheck && { dimensionCheck })
+        };
+    }
+
+    async function list(collection) {
+        const indexes = await collection.listSearchIndexes().toArray();
+        return indexes.map(describeSearchIndex);
+    }
+
+    async function create(collection, { wait = true, ...spec }) {
+        const index = searchIndexDefinition(spec);
+        if (await find(collection, index.name)) {
+            throw new HttpError(409, `Search index ${index.name} already exists on ${collection.collectionName}`, { field: 'name' });
+        }
+        const dimensionCheck = await checkDimensions(collection, index);
+        await collection.createSearchIndex(index);
+        return settle(collection, index.name, wait, undefined, dimensionCheck);
+    }
+
+    // Replaces the whole definition; the index type cannot change
+    async function update(collection, name, { wait = true, ...spec }) {
+        const existing = await find(collection, name);
+        if (!existing) {
+            throw notFound(`Search index ${name} not found on ${collection.collectionName}`);
+        }
+        const type = existing.type || 'search';
+        if (spec.type && spec.type !== type) {
+            throw fieldErrors(['type'], `cannot change a ${type} index; drop it and create a new one`);
+        }
+        const index = searchIndexDefinition({ ...spec, name, type });
+        const dimensionCheck = await checkDimensions(collection, index);
+        const previousVersion = existing.latestDefinitionVersion?.version;
+        await collection.updateSearchIndex(name, index.definition);
+        return settle(collection, name, wait, previousVersion, dimensionCheck);
+    }
+
+    // Atlas removes the index in the background
+    async function drop(collection, name) {
+        if (!await find(collection, name)) {
+            throw notFound(`Search index ${name} not found on ${collection.collectionName}`);
+        }
+        await collection.dropSearchIndex(name);
+    }
+
+    return { list, create, update, drop };
+}
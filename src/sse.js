@@ -0,0 +1,34 @@
+// Minimal Server-Sent Events writer for Express responses
+
+const HEARTBEAT_MS = 15000;
+
+export function openEventStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop nginx-style proxies from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    const isOpen = () => !res.writableEnded && !res.destroyed;
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => {
+        if (isOpen()) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    res.on('close', () => clearInterval(heartbeat));
+
+    return {
+        isOpen,
+        send(event, data) {
+            if (!isOpen()) return false;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            return true;
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (isOpen()) res.end();
+        }
+    };
+}
@@ -0,0 +1,11 @@
+// Summary statistics for latency and metric reports
+
+export const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+// Nearest-rank percentile, p in 0..100
+export function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank - 1, 0), sorted.length - 1)];
+}
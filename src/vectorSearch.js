@@ -0,0 +1,87 @@
+// Shared $vectorSearch stage builders and index definitions
+
+export const DEFAULT_VECTOR_PATH = 'description_embedding';
+export const DEFAULT_VECTOR_INDEX = 'vector_index';
+
+export function buildVectorSearchStage({
+    queryVector,
+    path = DEFAULT_VECTOR_PATH,
+    index = DEFAULT_VECTOR_INDEX,
+    numCandidates = 100,
+    limit = 10,
+    filter
+}) {
+    return {
+        $vectorSearch: {
+            queryVector,
+            path,
+            numCandidates,
+            limit,
+            index,
+            // Pre-filter: only fields declared as `filter` in the index may appear here
+            ...(filter && { filter })
+        }
+    };
+}
+
+// $vectorSearch plus the score, sorted with an _id tie-break so equal scores
+// always come back in the same order (keeps pages stable between requests)
+export function vectorSearchPipeline(options) {
+    return [
+        buildVectorSearchStage(options),
+        { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+        { $sort: { score: -1, _id: 1 } }
+    ];
+}
+
+export function vectorIndexDefinition({
+    name = DEFAULT_VECTOR_INDEX,
+    path = DEFAULT_VECTOR_PATH,
+    dimensions,
+    similarity = 'cosine',
+    filterPaths = []
+}) {
+    return {
+        name,
+        type: 'vectorSearch',
+        definition: {
+            fields: [
+                { type: 'vector', numDimensions: dimensions, path, similarity },
+                ...filterPaths.map(filterPath => ({ type: 'filter', path: filterPath }))
+            ]
+        }
+    };
+}
+
+// Create the vector index, or add missing filter fields to an existing one.
+// An existing index with different dimensions is left alone: rebuilding it would
+// break every search until the documents are re-embedded.
+export async function ensureVectorIndex(collection, options) {
+    const index = vectorIndexDefinition(options);
+    const [existing] = await collection.listSearchIndexes(index.name).toArray();
+
+    if (!existing) {
+        await collection.createSearchIndex(index);
+        return 'created';
+    }
+
+    const fields = existing.latestDefinition?.fields || [];
+    const vectorField = fields.find(field => field.type === 'vector' && field.path === index.definition.fields[0].path);
+    if (vectorField && vectorField.numDimensions !== options.dimensions) {
+        console.warn(`Vector index ${index.name} on ${collection.collectionName} has ${vectorField.numDimensions} dimensions, expected ${options.dimensions}; not updating`);
+        return 'mismatch';
+    }
+
+    const declaredFilters = new Set(fields.filter(field => field.type === 'filter').map(field => field.path));
+    const missingFilters = (options.filterPaths || []).filter(filterPath => !declaredFilters.has(filterPath));
+    if (missingFilters.length === 0) {
+        return 'unchanged';
+    }
+
+    // Keep whatever the index already declares and only append the missing filters
+    await collection.updateSearchIndex(index.name, {
+        ...existing.latestDefinition,
+        fields: [...fields, ...missingFilters.map(filterPath => ({ type: 'filter', path: filterPath }))]
+    });
+    return 'updated';
+}